@@ -0,0 +1,46 @@
+// DS Gutachten Formular - Abtretungserklärung
+// Text template of the Abtretung with {{key}} placeholders for form fields. The default text is
+// lib/data/abtretung.txt, ABTRETUNG_TEMPLATE points to a replacement file.
+
+const fs = require('fs');
+const path = require('path');
+const formSchema = require('./form-schema');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, 'data', 'abtretung.txt');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+function placeholders(template) {
+    return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+// Reads a template; unknown placeholders fail at startup instead of ending up in a signed document
+function loadTemplate(filePath = DEFAULT_TEMPLATE_PATH) {
+    const template = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n').trim();
+
+    const unknown = placeholders(template).filter(key => !formSchema.getField(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown placeholders in Abtretung template ${filePath}: ${unknown.join(', ')}`);
+    }
+
+    return template;
+}
+
+/**
+ * Fills the placeholders with formatValue(key) and returns the paragraphs of the text
+ * (separated by blank lines in the template, single line breaks are joined).
+ */
+function fill(template, formatValue) {
+    return template
+        .replace(PLACEHOLDER_PATTERN, (match, key) => formatValue(key))
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE_PATH,
+    placeholders,
+    loadTemplate,
+    fill,
+};
@@ -0,0 +1,95 @@
+// DS Gutachten Formular - Postal addresses
+// Offline PLZ -> Ort lookup, address formatting for Notion and the PDF, and a parser for old one-line addresses
+
+// [from, to, Ort] for all German PLZ, generated from the MIT-licensed German-Zip-Codes.csv (npm german-zip-codes);
+// a PLZ with several Orte has one row per Ort. PLZ missing from the table are not checked.
+const PLZ_TABLE = require('./data/plz.json');
+
+const PLZ_PATTERN = /^\d{5}$/;
+
+function isValidPlz(value) {
+    return PLZ_PATTERN.test(String(value || '')) && String(value) >= '01001';
+}
+
+// Orte for a PLZ from the bundled table, or null when the PLZ is not covered
+function lookupPlz(plz) {
+    if (!isValidPlz(plz)) {
+        return null;
+    }
+
+    const orte = PLZ_TABLE
+        .filter(([from, to]) => plz >= from && plz <= to)
+        .map(([, , ort]) => ort);
+    return orte.length > 0 ? orte : null;
+}
+
+function normalizeOrt(value) {
+    return String(value || '').toLowerCase().replace(/[^a-zäöüß]/g, '');
+}
+
+/**
+ * Compares an Ort with the table. Returns { known, matches, orte } where
+ * matches is also true for districts ("Bielefeld-Brackwede" for "Bielefeld").
+ */
+function checkOrt(plz, ort) {
+    const orte = lookupPlz(plz);
+    if (!orte) {
+        return { known: false, matches: true, orte: [] };
+    }
+
+    const given = normalizeOrt(ort);
+    const matches = !given || orte.some(candidate => given.startsWith(normalizeOrt(candidate)));
+    return { known: true, matches, orte };
+}
+
+// "Mühlenstr. 49, 33609 Bielefeld" -> { strasse, hausnummer, plz, ort }
+function parseLegacyAddress(value) {
+    const text = String(value || '').trim().replace(/\s+/g, ' ');
+    const match = text.match(/^(.+?)\s+(\d+\s?[a-zA-Z]?(?:\s?[-/]\s?\d+\s?[a-zA-Z]?)?)\s*[,;]?\s*(\d{5})\s+(.+)$/);
+    if (!match) {
+        // Keep the whole text so nothing gets lost; validation asks for the missing parts
+        return { strasse: text, hausnummer: '', plz: '', ort: '' };
+    }
+
+    const [, strasse, hausnummer, plz, ort] = match;
+    return { strasse, hausnummer: hausnummer.replace(/\s/g, ''), plz, ort };
+}
+
+// Address parts of a party ("auftraggeber", "gegner") from normalized form data
+function fromFormData(data, prefix) {
+    return {
+        name: data[`${prefix}_name`] || '',
+        strasse: data[`${prefix}_strasse`] || '',
+        hausnummer: data[`${prefix}_hausnummer`] || '',
+        plz: data[`${prefix}_plz`] || '',
+        ort: data[`${prefix}_ort`] || '',
+    };
+}
+
+function formatStreet({ strasse, hausnummer }) {
+    return [strasse, hausnummer].filter(Boolean).join(' ');
+}
+
+function formatCity({ plz, ort }) {
+    return [plz, ort].filter(Boolean).join(' ');
+}
+
+// One line for Notion, e.g. "Mühlenstr. 49, 33609 Bielefeld"
+function formatLine(address) {
+    return [formatStreet(address), formatCity(address)].filter(Boolean).join(', ');
+}
+
+// Lines of a postal address block (Anschriftenfeld): name, street, PLZ and Ort
+function formatLetterBlock({ name, ...address }) {
+    return [name, formatStreet(address), formatCity(address)].filter(Boolean);
+}
+
+module.exports = {
+    isValidPlz,
+    lookupPlz,
+    checkOrt,
+    parseLegacyAddress,
+    fromFormData,
+    formatLine,
+    formatLetterBlock,
+};
@@ -0,0 +1,91 @@
+// DS Gutachten Formular - Audit log
+// Append-only JSONL log; every entry carries the hash of its predecessor so gaps and edits are detectable
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+function hashEntry(entry) {
+    return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        // A write cut off by a crash leaves a line without newline; the next entry starts on its own line
+        if (fs.existsSync(this.filePath)) {
+            const content = fs.readFileSync(this.filePath, 'utf8');
+            if (content !== '' && !content.endsWith('\n')) {
+                fs.appendFileSync(this.filePath, '\n');
+            }
+        }
+
+        const intact = this.readAll().filter(entry => !entry.unreadable);
+        this.lastHash = intact.length > 0 ? intact[intact.length - 1].hash : null;
+    }
+
+    append(action, details = {}) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            action,
+            ...details,
+            prevHash: this.lastHash,
+        };
+        entry.hash = hashEntry(entry);
+
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+        this.lastHash = entry.hash;
+        return entry;
+    }
+
+    // Lines that are no valid JSON (e.g. truncated) come back as { unreadable: true, line },
+    // verify() reports them as a break in the chain
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return { unreadable: true, line };
+                }
+            });
+    }
+
+    // from/to are inclusive ISO dates (YYYY-MM-DD) or timestamps
+    query({ gutachtenNr, from, to, limit = 500 } = {}) {
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to.length === 10 ? `${to}T23:59:59.999Z` : to).getTime() : null;
+
+        return this.readAll()
+            .filter(entry => !entry.unreadable)
+            .filter(entry => !gutachtenNr || entry.gutachten_nr === gutachtenNr)
+            .filter(entry => fromTime === null || new Date(entry.timestamp).getTime() >= fromTime)
+            .filter(entry => toTime === null || new Date(entry.timestamp).getTime() <= toTime)
+            .slice(-limit);
+    }
+
+    // Returns the index of the first entry whose hash chain is broken, or -1
+    verify() {
+        let prevHash = null;
+        const entries = this.readAll();
+
+        for (let index = 0; index < entries.length; index++) {
+            const { hash, ...entry } = entries[index];
+            if (entries[index].unreadable || entry.prevHash !== prevHash || hashEntry(entry) !== hash) {
+                return index;
+            }
+            prevHash = hash;
+        }
+        return -1;
+    }
+}
+
+module.exports = AuditLog;
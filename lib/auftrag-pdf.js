@@ -0,0 +1,552 @@
+// DS Gutachten Formular - Auftrag PDF
+// Lays out the signed Auftrag like the paper form: logo header, grey section bars in the order of
+// index.html, values on the yellow underline from styles.css, "keine Angabe" for anything left empty
+// and a footer with page numbers. The Abtretungserklärung uses the same layout. Pages are filled
+// by lib/pdf-flow.js, long texts continue on the next page below a running header.
+
+const fs = require('fs');
+const path = require('path');
+const formSchema = require('./form-schema');
+const address = require('./address');
+const vin = require('./vin');
+const signature = require('./signature');
+const abtretung = require('./abtretung');
+const FlowLayout = require('./pdf-flow');
+
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'Logo DS Sachverständigenbüro Schwarz Trans.png');
+
+const DOCUMENT_OPTIONS = {
+    size: 'A4',
+    margins: { top: 40, left: 50, right: 50, bottom: 60 },
+    // Footers are drawn at the end, when the page count is known
+    bufferPages: true,
+};
+
+// Colours of the paper form (public/styles.css)
+const COLORS = {
+    text: '#333333',
+    muted: '#999999',
+    bar: '#666666',
+    underline: '#ffd700',
+    sidebar: '#ff8c00',
+    intro: '#fafafa',
+};
+
+const OFFICE = {
+    name: 'DS Sachverständigenbüro',
+    street: 'Mühlenstr. 49',
+    city: '33609 Bielefeld',
+    phone: '0151-11738834',
+    email: 'info@unfallschaden-bielefeld.de',
+};
+
+const CONSENT_TEXT = 'Ich habe den Datenschutzhinweis gelesen und bin mit der Verarbeitung meiner Angaben zur Erstellung '
+    + 'des Gutachtens einverstanden.';
+
+const INTRO_TEXT = 'Sollte zur Feststellung des Schadens eine Teilmontage des Fahrzeugs erforderlich sein, ermächtige '
+    + 'ich DS Sachverständigenbüro, den Auftrag hierfür für mich zu erteilen. Das Gutachterhonorar wird nach dem '
+    + 'Gegenstandswert gemäß der gegenwärtig geltenden Honorartabelle für das Schadengutachten berechnet.';
+
+// Field rows per section as on the paper form; [key, weight] makes a field wider than its neighbours.
+// Fields missing here get a row of their own, so new schema fields still end up in the PDF.
+const ROWS = {
+    auftraggeber: [
+        ['auftraggeber_name'],
+        [['auftraggeber_strasse', 3], 'auftraggeber_hausnummer'],
+        ['auftraggeber_plz', ['auftraggeber_ort', 3]],
+        ['auftraggeber_email', 'auftraggeber_telefon'],
+        ['auftraggeber_kennzeichen', 'auftraggeber_vorsteuerabzug', 'auftraggeber_gutachtenPer'],
+    ],
+    sonstiges: [
+        ['sonstiges_kilometerstand', 'sonstiges_reifen'],
+        ['sonstiges_fahrzeugstellnummer'],
+    ],
+    unfall: [
+        ['unfall_tag', 'unfall_uhrzeit', ['unfall_ort', 2]],
+        ['unfall_beschreibung'],
+    ],
+    gegner: [
+        ['gegner_name'],
+        [['gegner_strasse', 3], 'gegner_hausnummer'],
+        ['gegner_plz', ['gegner_ort', 3]],
+        ['gegner_kennzeichen'],
+    ],
+    versicherung: [
+        ['versicherung_name', 'versicherung_schadennummer'],
+    ],
+    dienstleister: [
+        ['dienstleister_name', 'dienstleister_kontakt'],
+    ],
+    notizen: [
+        ['notizen'],
+    ],
+};
+
+const SECTION_BAR_HEIGHT = 18;
+const FIELD_HEIGHT = 30;
+const FIELD_GAP = 12;
+const LINE_HEIGHT = 16;
+const SIGNATURE_HEIGHT = 60;
+const CHOICE_BOX = 9;
+const PARAGRAPH_LINE_HEIGHT = 14;
+// Anschriftenfeld after DIN 5008: 85 mm wide, fits the window of a DL/C6 envelope
+const LETTER_BLOCK_WIDTH = 85 / 25.4 * 72;
+const LETTER_LINE_HEIGHT = 13;
+// Lines of a long text kept together with its label before it is split across pages
+const MIN_FLOW_LINES = 3;
+
+// Printed for everything the customer left empty, so blanks cannot be filled in after signing
+const EMPTY_TEXT = 'keine Angabe';
+
+function today() {
+    return new Date().toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin' });
+}
+
+// Values as the customer would write them on paper
+function formatValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (field.type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value.split('-').reverse().join('.');
+    }
+    return String(value);
+}
+
+function contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function drawHeader(layout, title) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const top = doc.page.margins.top;
+
+    if (fs.existsSync(LOGO_PATH)) {
+        doc.image(LOGO_PATH, left, top - 5, { fit: [90, 90] });
+    }
+
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+        .text('Ihr Gutachter', left, top, { width, align: 'right' });
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(16)
+        .text(OFFICE.name.toUpperCase(), left, top + 12, { width, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`${OFFICE.street} · ${OFFICE.city}`, left, top + 34, { width, align: 'right' })
+        .text(`Tel.: ${OFFICE.phone}`, left, top + 46, { width, align: 'right' })
+        .text(`E-Mail: ${OFFICE.email}`, left, top + 58, { width, align: 'right' });
+
+    const titleY = top + 95;
+    doc.rect(left, titleY, width, 24).fill(COLORS.bar);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(14)
+        .text(title, left + 10, titleY + 6, { width: width - 20 });
+
+    layout.y = titleY + 36;
+}
+
+// Pages after the first: office name and document title above a thin line
+function drawRunningHeader(layout, title) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const top = doc.page.margins.top;
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10)
+        .text(OFFICE.name.toUpperCase(), left, top, { lineBreak: false });
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+        .text(title, left, top + 1, { width, align: 'right', lineBreak: false });
+    doc.lineWidth(0.5).strokeColor(COLORS.muted).moveTo(left, top + 16).lineTo(left + width, top + 16).stroke();
+
+    layout.y = top + 28;
+}
+
+function drawSectionBar(layout, title) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+
+    doc.rect(left, layout.y, contentWidth(doc), SECTION_BAR_HEIGHT).fill(COLORS.bar);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(10)
+        .text(title, left + 8, layout.y + 5, { width: contentWidth(doc) - 16 });
+    layout.y += SECTION_BAR_HEIGHT + 6;
+}
+
+// Value wrapped to the field width, one entry per underline; sets the value font
+function valueLines(doc, item, width) {
+    doc.font(item.empty ? 'Helvetica-Oblique' : 'Helvetica').fontSize(10);
+    return FlowLayout.wrapText(doc, item.value || '', width - 6);
+}
+
+// Underlined lines of a field: as many as the value needs, at least three for multi-line text
+function fieldLines(doc, item, width) {
+    return Math.max(item.multiline ? 3 : 1, valueLines(doc, item, width).length);
+}
+
+function fieldHeight(doc, item, width) {
+    return 14 + fieldLines(doc, item, width) * LINE_HEIGHT;
+}
+
+function drawField(layout, item, x, width) {
+    const { doc } = layout;
+    const y = layout.y;
+    const lines = fieldLines(doc, item, width);
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(8)
+        .text(item.label, x, y, { width, lineBreak: false });
+    if (item.options && !item.empty) {
+        drawChoices(doc, item, x + 3, y + 12);
+    } else {
+        doc.fillColor(item.empty ? COLORS.muted : COLORS.text);
+        valueLines(doc, item, width).forEach((line, index) => {
+            doc.text(line.text, x + 3, y + 12 + index * LINE_HEIGHT, { lineBreak: false });
+        });
+    }
+
+    // Yellow underline under every line, like the input fields in styles.css
+    doc.lineWidth(2).strokeColor(COLORS.underline);
+    for (let line = 1; line <= lines; line++) {
+        const lineY = y + 9 + line * LINE_HEIGHT;
+        doc.moveTo(x, lineY).lineTo(x + width, lineY).stroke();
+    }
+}
+
+// Field widths of a row by weight
+function rowWidths(doc, items) {
+    const available = contentWidth(doc) - FIELD_GAP * (items.length - 1);
+    const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+    return items.map(item => available * item.weight / totalWeight);
+}
+
+function rowHeight(doc, items) {
+    const widths = rowWidths(doc, items);
+    return Math.max(...items.map((item, index) => fieldHeight(doc, item, widths[index]))) + 6;
+}
+
+// Radio buttons as on the paper form: every option with a box, the chosen one ticked
+function drawChoices(doc, item, x, y) {
+    let optionX = x;
+    item.options.forEach(option => {
+        doc.lineWidth(0.8).strokeColor(COLORS.text).rect(optionX, y + 1, CHOICE_BOX, CHOICE_BOX).stroke();
+        if (option === item.value) {
+            doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(9)
+                .text('X', optionX + 1.6, y + 1.6, { lineBreak: false });
+        }
+        doc.fillColor(COLORS.text).font('Helvetica').fontSize(10)
+            .text(option, optionX + CHOICE_BOX + 4, y, { lineBreak: false });
+        optionX += CHOICE_BOX + 4 + doc.widthOfString(option) + 14;
+    });
+}
+
+// Height that has to fit on the page before a row is started
+function rowKeepHeight(doc, items) {
+    const height = rowHeight(doc, items);
+    return items.length === 1 ? Math.min(height, 20 + MIN_FLOW_LINES * LINE_HEIGHT) : height;
+}
+
+// A single field too long for the rest of the page continues on the next one, with its label repeated
+function drawFlowingField(layout, item) {
+    const { doc } = layout;
+    const x = layout.left;
+    const width = layout.width;
+    const lines = valueLines(doc, item, width);
+
+    const drawLabel = continued => {
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(8)
+            .text(continued ? `${item.label} (Fortsetzung)` : item.label, x, layout.y, { width, lineBreak: false });
+        layout.y += 12;
+    };
+
+    layout.keepTogether(rowKeepHeight(doc, [item]));
+    drawLabel(false);
+    layout.flowLines(lines, LINE_HEIGHT, (line, y) => {
+        doc.fillColor(COLORS.text).font('Helvetica').fontSize(10).text(line.text, x + 3, y, { lineBreak: false });
+        doc.lineWidth(2).strokeColor(COLORS.underline).moveTo(x, y + 13).lineTo(x + width, y + 13).stroke();
+    }, () => drawLabel(true));
+    layout.y += 8;
+}
+
+function drawRow(layout, items) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const widths = rowWidths(doc, items);
+    const height = rowHeight(doc, items);
+
+    // Long texts like the Schadenbeschreibung or Notizen are split instead of overflowing the page
+    if (items.length === 1 && !items[0].options && layout.y + height > layout.bottom) {
+        drawFlowingField(layout, items[0]);
+        return;
+    }
+
+    layout.keepTogether(height);
+    let x = left;
+    items.forEach((item, index) => {
+        drawField(layout, item, x, widths[index]);
+        x += widths[index] + FIELD_GAP;
+    });
+    layout.y += height;
+}
+
+function fieldItem(formData, key, weight = 1) {
+    const field = formSchema.getField(key);
+    const value = formatValue(field, formData[key]);
+    return {
+        label: field.label,
+        value: value || EMPTY_TEXT,
+        empty: !value,
+        weight,
+        multiline: field.type === 'textarea',
+        ...(field.type === 'radio' && { options: field.options }),
+    };
+}
+
+// Rows of a section from ROWS, plus one row per field that has no place there
+function sectionRows(formData, section) {
+    const rows = ROWS[section.id] || [];
+    const placed = rows.flat().map(entry => (Array.isArray(entry) ? entry[0] : entry));
+    const rest = section.fields.filter(field => !placed.includes(field.key)).map(field => [field.key]);
+
+    return [...rows, ...rest].map(row => row.map(entry => (Array.isArray(entry)
+        ? fieldItem(formData, entry[0], entry[1])
+        : fieldItem(formData, entry))));
+}
+
+function drawSection(layout, formData, section) {
+    const { doc } = layout;
+    const rows = sectionRows(formData, section);
+
+    // A section the customer skipped entirely is marked once instead of field by field
+    if (rows.flat().every(item => item.empty)) {
+        layout.keepTogether(SECTION_BAR_HEIGHT + 6 + FIELD_HEIGHT);
+        drawSectionBar(layout, section.title);
+        doc.fillColor(COLORS.muted).font('Helvetica-Oblique').fontSize(10)
+            .text(EMPTY_TEXT, doc.page.margins.left + 3, layout.y + 2, { lineBreak: false });
+        layout.y += 24;
+        return;
+    }
+
+    // Keep the bar together with the first row
+    layout.keepTogether(SECTION_BAR_HEIGHT + 6 + (rows.length > 0 ? rowKeepHeight(doc, rows[0]) : 0));
+    drawSectionBar(layout, section.title);
+
+    rows.forEach(items => drawRow(layout, items));
+
+    // The structured address once more as Anschriftenfeld, e.g. for sending the Gutachten by post
+    if (section.id === 'auftraggeber') {
+        const lines = address.formatLetterBlock(address.fromFormData(formData, 'auftraggeber'));
+        if (lines.length > 0) {
+            drawLetterBlock(layout, lines);
+        }
+    }
+
+    // Manufacturer and model year decoded from the FIN
+    if (section.id === 'sonstiges') {
+        const vehicle = vin.describe(vin.decode(formData.sonstiges_fahrzeugstellnummer));
+        if (vehicle) {
+            drawRow(layout, [{ label: 'Fahrzeug (laut FIN)', value: vehicle, weight: 1 }]);
+        }
+    }
+
+    layout.y += 6;
+}
+
+// Postal address of the customer (name, street, PLZ and Ort) as it goes on the envelope
+function drawLetterBlock(layout, lines) {
+    const { doc } = layout;
+    const left = layout.left;
+    const height = lines.length * LETTER_LINE_HEIGHT + 12;
+
+    layout.keepTogether(12 + height + 10);
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(8)
+        .text('Anschrift', left, layout.y, { lineBreak: false });
+    layout.y += 12;
+
+    doc.lineWidth(0.5).strokeColor(COLORS.muted).rect(left, layout.y, LETTER_BLOCK_WIDTH, height).stroke();
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+    lines.forEach((line, index) => {
+        doc.text(line, left + 8, layout.y + 7 + index * LETTER_LINE_HEIGHT, {
+            width: LETTER_BLOCK_WIDTH - 16,
+            lineBreak: false,
+            ellipsis: true,
+        });
+    });
+    layout.y += height + 10;
+}
+
+// Gutachten-Nr. and the Abtretung box, then the conditions of the Auftrag
+function drawAuftrag(layout, formData) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+
+    drawField(layout, fieldItem(formData, 'gutachten_nr'), left, width / 2);
+
+    // Grey box with a checkbox, like .abtretung in styles.css
+    const boxX = left + width - 120;
+    doc.rect(boxX, layout.y + 4, 120, 22).fill(COLORS.bar);
+    doc.rect(boxX + 8, layout.y + 9, 12, 12).fill('white');
+    if (formData.abtretung) {
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(10).text('X', boxX + 10.5, layout.y + 10.5, { lineBreak: false });
+    }
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(10)
+        .text(formSchema.label('abtretung'), boxX + 28, layout.y + 10, { lineBreak: false });
+    layout.y += FIELD_HEIGHT + 10;
+
+    doc.font('Helvetica').fontSize(8.5);
+    const introHeight = doc.heightOfString(INTRO_TEXT, { width: width - 20, align: 'justify' });
+    doc.rect(left, layout.y, width, introHeight + 14).fill(COLORS.intro);
+    doc.fillColor(COLORS.text).text(INTRO_TEXT, left + 10, layout.y + 7, { width: width - 20, align: 'justify' });
+    layout.y += introHeight + 24;
+}
+
+// Checkbox with the consent and below it the proof stored by the server (server.js buildConsent)
+function drawConsent(layout, formData, title) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    const consent = formData.datenschutz_consent;
+
+    const text = consent ? CONSENT_TEXT.replace('Datenschutzhinweis', `Datenschutzhinweis (${consent.version})`) : CONSENT_TEXT;
+    const proof = consent
+        ? [
+            `Zugestimmt am ${new Date(consent.acceptedAt).toLocaleString('de-DE', { timeZone: 'Europe/Berlin' })}`,
+            `IP ${consent.ip || EMPTY_TEXT}`,
+            `SHA-256 ${consent.sha256.slice(0, 16)}…`,
+            consent.url,
+        ].join(' · ')
+        : EMPTY_TEXT;
+
+    doc.font('Helvetica').fontSize(10);
+    const textHeight = doc.heightOfString(text, { width: width - CHOICE_BOX - 6 });
+    layout.keepTogether(SECTION_BAR_HEIGHT + 6 + textHeight + 30);
+    drawSectionBar(layout, title);
+
+    doc.lineWidth(0.8).strokeColor(COLORS.text).rect(left, layout.y + 1, CHOICE_BOX, CHOICE_BOX).stroke();
+    if (formData.datenschutz) {
+        doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(9)
+            .text('X', left + 1.6, layout.y + 1.6, { lineBreak: false });
+    }
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(10)
+        .text(text, left + CHOICE_BOX + 6, layout.y, { width: width - CHOICE_BOX - 6 });
+    layout.y += textHeight + 4;
+
+    doc.fillColor(COLORS.muted).font(consent ? 'Helvetica' : 'Helvetica-Oblique').fontSize(8)
+        .text(proof, left + CHOICE_BOX + 6, layout.y, { width: width - CHOICE_BOX - 6, lineBreak: false, ellipsis: true });
+    layout.y += 26;
+}
+
+// Place, date and signature stay together on one page
+function drawSignature(layout, formData, title, signatureValue) {
+    const { doc } = layout;
+    const left = doc.page.margins.left;
+    const fieldWidth = (contentWidth(doc) - FIELD_GAP) / 2;
+
+    layout.keepTogether(SECTION_BAR_HEIGHT + 6 + SIGNATURE_HEIGHT + 10);
+    drawSectionBar(layout, title);
+
+    // Both fields end on the same underline, the signature is drawn above it
+    const signatureTop = layout.y;
+    layout.y = signatureTop + SIGNATURE_HEIGHT - FIELD_HEIGHT;
+    const place = [formData.ort, today()].filter(Boolean).join(', ');
+    drawField(layout, { label: 'Ort, Datum', value: place }, left, fieldWidth);
+    drawField(layout, { label: 'Unterschrift', value: '' }, left + fieldWidth + FIELD_GAP, fieldWidth);
+
+    // Checked by validateFormData, so only the dry-run preview gets here without a valid
+    // signature. Embedding errors fail the PDF instead of producing an unsigned Auftrag.
+    const signed = signature.inspect(signatureValue);
+    if (signed.valid) {
+        doc.image(signed.buffer, left + fieldWidth + FIELD_GAP + 70, signatureTop, {
+            fit: [fieldWidth - 80, SIGNATURE_HEIGHT - 8],
+        });
+    }
+
+    layout.y = signatureTop + SIGNATURE_HEIGHT + 10;
+}
+
+// Orange sidebar and footer with Gutachten-Nr. and page numbers, drawn on every page
+function drawPageDecorations(layout, formData, pageNumber, pageCount) {
+    const { doc } = layout;
+    const { width, height, margins } = doc.page;
+    const footerY = height - margins.bottom + 20;
+
+    doc.rect(width - 14, 0, 14, height).fill(COLORS.sidebar);
+    doc.lineWidth(0.5).strokeColor(COLORS.muted)
+        .moveTo(margins.left, footerY - 6).lineTo(width - margins.right, footerY - 6).stroke();
+
+    // Text below the bottom margin would otherwise start a new page
+    const bottomMargin = margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8);
+    doc.text(`Gutachten-Nr. ${formData.gutachten_nr}`, margins.left, footerY, { lineBreak: false });
+    doc.text(`${OFFICE.name} · ${OFFICE.street} · ${OFFICE.city}`, margins.left, footerY, { width: width - margins.left - margins.right, align: 'center', lineBreak: false });
+    doc.text(`Seite ${pageNumber} von ${pageCount}`, margins.left, footerY, { width: width - margins.left - margins.right, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+}
+
+// Full header on the first page, running header and footer on all of them
+function createLayout(doc, formData, title) {
+    return new FlowLayout(doc, {
+        header: (layout, pageNumber) => (pageNumber === 1 ? drawHeader(layout, title) : drawRunningHeader(layout, title)),
+        footer: (layout, pageNumber, pageCount) => drawPageDecorations(layout, formData, pageNumber, pageCount),
+    });
+}
+
+/**
+ * Renders the Auftrag into a PDFDocument created with DOCUMENT_OPTIONS.
+ * The caller pipes the document and calls doc.end().
+ */
+function render(doc, formData) {
+    doc.info.Title = `Auftrag zur Gutachtenerstellung ${formData.gutachten_nr}`;
+    doc.info.Author = OFFICE.name;
+
+    const layout = createLayout(doc, formData, 'Auftrag zur Gutachtenerstellung');
+    drawAuftrag(layout, formData);
+
+    formSchema.FORM_SCHEMA.sections
+        .filter(section => section.id !== 'auftrag')
+        .forEach(section => {
+            if (section.id === 'unterschrift') {
+                drawSignature(layout, formData, section.title, formData.signature);
+            } else if (section.id === 'datenschutz') {
+                drawConsent(layout, formData, section.title);
+            } else {
+                drawSection(layout, formData, section);
+            }
+        });
+
+    layout.finish();
+}
+
+/**
+ * Renders the Abtretungserklärung from a template (lib/abtretung.js) into a PDFDocument created
+ * with DOCUMENT_OPTIONS. It is signed separately, with abtretung_signature.
+ */
+function renderAbtretung(doc, formData, template) {
+    doc.info.Title = `Abtretungserklärung ${formData.gutachten_nr}`;
+    doc.info.Author = OFFICE.name;
+
+    const layout = createLayout(doc, formData, 'Abtretungserklärung');
+    drawRow(layout, [fieldItem(formData, 'gutachten_nr'), fieldItem(formData, 'auftraggeber_kennzeichen')]);
+    layout.y += 6;
+    drawSectionBar(layout, formSchema.getSection('versicherung').title);
+    drawRow(layout, [fieldItem(formData, 'versicherung_name'), fieldItem(formData, 'versicherung_schadennummer')]);
+    layout.y += 6;
+
+    // Paragraphs may continue on the next page, but not with a single line
+    abtretung.fill(template, key => fieldItem(formData, key).value).forEach(paragraph => {
+        layout.keepTogether(2 * PARAGRAPH_LINE_HEIGHT);
+        doc.fillColor(COLORS.text).font('Helvetica').fontSize(10);
+        layout.text(paragraph, { align: 'justify', lineHeight: PARAGRAPH_LINE_HEIGHT });
+        layout.y += 8;
+    });
+
+    layout.y += 6;
+    drawSignature(layout, formData, formSchema.getSection('unterschrift').title, formData.abtretung_signature);
+
+    layout.finish();
+}
+
+module.exports = {
+    DOCUMENT_OPTIONS,
+    LOGO_PATH,
+    render,
+    renderAbtretung,
+};
@@ -0,0 +1,47 @@
+// DS Gutachten Formular - Datenschutzhinweis
+// Versioned privacy notices in public/datenschutz/ (v1.html, v2.html, ...). The highest version is the
+// current one. Older files stay, so every stored consent keeps pointing to the text that was accepted.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const NOTICE_DIR = path.join(__dirname, '..', 'public', 'datenschutz');
+const FILE_PATTERN = /^v(\d+)\.html$/;
+
+/**
+ * Reads all notice versions, oldest first: [{ version, url, sha256 }]. The SHA-256 of the file is
+ * stored with each consent as proof of the exact text.
+ */
+function loadNotices(dir = NOTICE_DIR) {
+    const notices = fs.readdirSync(dir)
+        .map(fileName => ({ fileName, match: fileName.match(FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+        .map(({ fileName, match }) => ({
+            version: `v${Number(match[1])}`,
+            url: `/datenschutz/${fileName}`,
+            sha256: crypto.createHash('sha256').update(fs.readFileSync(path.join(dir, fileName))).digest('hex'),
+        }));
+
+    if (notices.length === 0) {
+        throw new Error(`No Datenschutzhinweis found in ${dir} (expected v1.html, v2.html, ...)`);
+    }
+
+    return notices;
+}
+
+function current(notices) {
+    return notices[notices.length - 1];
+}
+
+function find(notices, version) {
+    return notices.find(notice => notice.version === version) || null;
+}
+
+module.exports = {
+    NOTICE_DIR,
+    loadNotices,
+    current,
+    find,
+};
@@ -0,0 +1,347 @@
+// DS Gutachten Formular - Form schema
+// Single definition of the form fields, served at /api/form-schema. Client and server
+// validation, PDF labels and the Notion mapping are all derived from it.
+//
+// name:  field name in index.html (what the browser sends)
+// key:   normalized key used on the server (see normalizeFormData)
+// type:  text, textarea, date, time, checkbox, radio, email, phone (lib/kontakt.js),
+//        plz (lib/address.js, ortField names the matching Ort), kennzeichen (lib/kennzeichen.js), vin (lib/vin.js)
+//        or image (PNG data URL checked by lib/image-payload.js, optional limits: { maxBytes, maxWidth, maxHeight })
+// notion: [{ database, property, type }]
+// usedBy: downstream outputs that use the field (pdf, drive, notion), checked by `npm run check-fields`
+// requiredIf: { field, message }, required when the named checkbox is ticked
+// requireOneOf (per section): at least one of the listed fields must be filled in
+
+const kennzeichen = require('./kennzeichen');
+const vin = require('./vin');
+const kontakt = require('./kontakt');
+const address = require('./address');
+const imagePayload = require('./image-payload');
+
+const FORM_SCHEMA = {
+    version: 1,
+    sections: [
+        {
+            id: 'auftrag',
+            title: 'Auftrag',
+            fields: [
+                { name: 'gutachtenNr', key: 'gutachten_nr', label: 'Gutachten Nr.', type: 'text', required: true, maxLength: 50, usedBy: ['pdf', 'drive', 'notion'] },
+                { name: 'abtretung', key: 'abtretung', label: 'Abtretung', type: 'checkbox', usedBy: ['pdf', 'drive', 'notion'] },
+            ],
+        },
+        {
+            id: 'auftraggeber',
+            title: 'Auftraggeber (Geschädigter)',
+            requireOneOf: [
+                { fields: ['auftraggeber_email', 'auftraggeber_telefon'], message: 'Bitte E-Mail oder Telefon angeben' },
+            ],
+            fields: [
+                {
+                    name: 'auftraggeber.name',
+                    key: 'auftraggeber_name',
+                    label: 'Name',
+                    type: 'text',
+                    required: true,
+                    maxLength: 200,
+                    usedBy: ['pdf', 'notion'],
+                    notion: [{ database: 'kontakte', property: 'Name', type: 'title' }],
+                },
+                { name: 'auftraggeber.strasse', key: 'auftraggeber_strasse', label: 'Straße', type: 'text', required: true, maxLength: 200, usedBy: ['pdf', 'notion'] },
+                { name: 'auftraggeber.hausnummer', key: 'auftraggeber_hausnummer', label: 'Hausnummer', type: 'text', required: true, maxLength: 10, usedBy: ['pdf', 'notion'] },
+                { name: 'auftraggeber.plz', key: 'auftraggeber_plz', label: 'PLZ', type: 'plz', required: true, ortField: 'auftraggeber_ort', usedBy: ['pdf', 'notion'] },
+                { name: 'auftraggeber.ort', key: 'auftraggeber_ort', label: 'Ort', type: 'text', required: true, maxLength: 100, usedBy: ['pdf', 'notion'] },
+                {
+                    name: 'auftraggeber.email',
+                    key: 'auftraggeber_email',
+                    label: 'E-Mail',
+                    type: 'email',
+                    maxLength: 254,
+                    usedBy: ['pdf', 'notion'],
+                    notion: [{ database: 'kontakte', property: 'Email', type: 'email' }],
+                },
+                {
+                    name: 'auftraggeber.telefon',
+                    key: 'auftraggeber_telefon',
+                    label: 'Telefon',
+                    type: 'phone',
+                    maxLength: 40,
+                    usedBy: ['pdf', 'notion'],
+                    notion: [{ database: 'kontakte', property: 'Phone', type: 'phone_number' }],
+                },
+                {
+                    name: 'auftraggeber.kennzeichen',
+                    key: 'auftraggeber_kennzeichen',
+                    label: 'Amtl. Kennzeichen',
+                    type: 'kennzeichen',
+                    required: true,
+                    maxLength: 20,
+                    usedBy: ['pdf', 'drive', 'notion'],
+                    notion: [{ database: 'kontakte', property: 'Kennzeichen', type: 'rich_text' }],
+                },
+                { name: 'auftraggeber.vorsteuerabzug', key: 'auftraggeber_vorsteuerabzug', label: 'Vorsteuerabzug', type: 'radio', options: ['ja', 'nein'], usedBy: ['pdf'] },
+                { name: 'auftraggeber.gutachtenPer', key: 'auftraggeber_gutachtenPer', label: 'Gutachten per', type: 'radio', options: ['email', 'Post'], usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'sonstiges',
+            title: 'Sonstiges (Geschädigter)',
+            fields: [
+                { name: 'sonstiges.kilometerstand', key: 'sonstiges_kilometerstand', label: 'Kilometerstand', type: 'text', maxLength: 20, usedBy: ['pdf'] },
+                { name: 'sonstiges.reifen', key: 'sonstiges_reifen', label: 'Reifen/Profiltiefe', type: 'text', maxLength: 100, usedBy: ['pdf'] },
+                { name: 'sonstiges.fahrzeugstellnummer', key: 'sonstiges_fahrzeugstellnummer', label: 'Fahrzeugstellnummer', type: 'vin', maxLength: 30, usedBy: ['pdf', 'notion'] },
+            ],
+        },
+        {
+            id: 'unfall',
+            title: 'Angaben zum Unfallereignis',
+            fields: [
+                { name: 'unfall.tag', key: 'unfall_tag', label: 'Unfalltag', type: 'date', required: true, usedBy: ['pdf'] },
+                { name: 'unfall.uhrzeit', key: 'unfall_uhrzeit', label: 'Uhrzeit', type: 'time', usedBy: ['pdf'] },
+                { name: 'unfall.ort', key: 'unfall_ort', label: 'Unfallort', type: 'text', required: true, maxLength: 200, usedBy: ['pdf'] },
+                { name: 'unfall.beschreibung', key: 'unfall_beschreibung', label: 'Schadenbeschreibung', type: 'textarea', maxLength: 5000, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'gegner',
+            title: 'Halter Gegnerisches KFZ (Verursacher)',
+            fields: [
+                { name: 'gegner.name', key: 'gegner_name', label: 'Name', type: 'text', maxLength: 200, usedBy: ['pdf'] },
+                { name: 'gegner.strasse', key: 'gegner_strasse', label: 'Straße', type: 'text', maxLength: 200, usedBy: ['pdf'] },
+                { name: 'gegner.hausnummer', key: 'gegner_hausnummer', label: 'Hausnummer', type: 'text', maxLength: 10, usedBy: ['pdf'] },
+                { name: 'gegner.plz', key: 'gegner_plz', label: 'PLZ', type: 'plz', ortField: 'gegner_ort', usedBy: ['pdf'] },
+                { name: 'gegner.ort', key: 'gegner_ort', label: 'Ort', type: 'text', maxLength: 100, usedBy: ['pdf'] },
+                { name: 'gegner.kennzeichen', key: 'gegner_kennzeichen', label: 'Amtl. Kennzeichen', type: 'kennzeichen', maxLength: 20, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'versicherung',
+            title: 'Versicherungsgesellschaft des Verursachers',
+            fields: [
+                {
+                    name: 'versicherung.name',
+                    key: 'versicherung_name',
+                    label: 'Name',
+                    type: 'text',
+                    maxLength: 200,
+                    usedBy: ['pdf'],
+                    requiredIf: { field: 'abtretung', message: 'Für die Abtretung bitte die Versicherung des Verursachers angeben' },
+                },
+                { name: 'versicherung.schadennummer', key: 'versicherung_schadennummer', label: 'Schadennummer', type: 'text', maxLength: 100, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'dienstleister',
+            title: 'Sonstige Dienstleister',
+            fields: [
+                { name: 'dienstleister.name', key: 'dienstleister_name', label: 'Name', type: 'text', maxLength: 200, usedBy: ['pdf'] },
+                { name: 'dienstleister.kontakt', key: 'dienstleister_kontakt', label: 'Kontakt', type: 'text', maxLength: 200, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'notizen',
+            title: 'Notizen',
+            fields: [
+                { name: 'notizen', key: 'notizen', label: 'Notizen', type: 'textarea', maxLength: 5000, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'datenschutz',
+            title: 'Datenschutz',
+            fields: [
+                // The accepted version is sent as datenschutz_version, see lib/datenschutz.js
+                { name: 'datenschutz', key: 'datenschutz', label: 'Einwilligung Datenschutz', type: 'checkbox', required: true, usedBy: ['pdf'] },
+            ],
+        },
+        {
+            id: 'unterschrift',
+            title: 'Ort / Unterschrift',
+            fields: [
+                { name: 'ort', key: 'ort', label: 'Ort', type: 'text', maxLength: 100, usedBy: ['pdf'] },
+            ],
+        },
+    ],
+};
+
+// Downstream outputs a field can feed
+const CONSUMERS = ['pdf', 'drive', 'notion'];
+
+// Names older clients still send; normalizeFormData converts them to the current fields
+const LEGACY_NAMES = {
+    'auftraggeber.kontakt': 'auftraggeber_kontakt',
+    'auftraggeber.adresse': 'auftraggeber_adresse',
+    'gegner.adresse': 'gegner_adresse',
+    unterschrift: 'unterschrift',
+};
+
+// Sent alongside the form fields by public/app.js
+const META_NAMES = ['signature', 'abtretung_signature', 'datenschutz_version', 'submitted_at', 'timestamp'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function allFields() {
+    return FORM_SCHEMA.sections.flatMap(section => section.fields.map(field => ({ ...field, section: section.id })));
+}
+
+function getField(key) {
+    return allFields().find(field => field.key === key) || null;
+}
+
+function getSection(id) {
+    return FORM_SCHEMA.sections.find(section => section.id === id) || null;
+}
+
+function label(key) {
+    const field = getField(key);
+    return field ? field.label : key;
+}
+
+// Field name in index.html for a normalized key, e.g. for error responses
+function fieldName(key) {
+    const field = getField(key);
+    return field ? field.name : key;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+}
+
+// Ticked checkbox as sent by the form ("on") or by API clients (true, "true", "1")
+function isChecked(value) {
+    return value === true || ['on', 'true', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Maps a request body from field names in index.html ("auftraggeber.name") to the
+ * normalized keys ("auftraggeber_name"); normalized keys are accepted as they are.
+ * Returns { data, unknown } with the names that are not part of the form, those are not passed on.
+ */
+function mapFields(body) {
+    const keysByName = new Map(allFields().flatMap(field => [[field.name, field.key], [field.key, field.key]]));
+    const data = {};
+    const unknown = [];
+
+    Object.entries(body || {}).forEach(([name, value]) => {
+        const key = keysByName.get(name) || LEGACY_NAMES[name] || (META_NAMES.includes(name) ? name : null);
+        if (key) {
+            data[key] = value;
+        } else {
+            unknown.push(name);
+        }
+    });
+
+    return { data, unknown };
+}
+
+// Checks normalized form data against the schema, returns [{ field, code, message }]
+function validate(data) {
+    const errors = [];
+
+    allFields().forEach(field => {
+        const value = data[field.key];
+
+        if (isEmpty(value)) {
+            if (field.required) {
+                errors.push({ field: field.key, code: 'required', message: `Erforderliches Feld fehlt: ${field.label}` });
+            } else if (field.requiredIf && data[field.requiredIf.field]) {
+                errors.push({ field: field.key, code: 'required', message: field.requiredIf.message });
+            }
+            return;
+        }
+
+        // false or "off" are not empty, but do not tick a required checkbox either
+        if (field.type === 'checkbox') {
+            if (field.required && !isChecked(value)) {
+                errors.push({ field: field.key, code: 'required', message: `Erforderliches Feld fehlt: ${field.label}` });
+            }
+            return;
+        }
+
+        const text = value.toString().trim();
+        if (field.maxLength && text.length > field.maxLength) {
+            errors.push({ field: field.key, code: 'too_long', message: `${field.label} ist zu lang (max. ${field.maxLength} Zeichen)` });
+        } else if (field.options && !field.options.includes(text)) {
+            errors.push({ field: field.key, code: 'invalid_option', message: `${field.label}: ungültige Auswahl` });
+        } else if (field.type === 'date' && (!DATE_PATTERN.test(text) || Number.isNaN(new Date(text).getTime()))) {
+            errors.push({ field: field.key, code: 'invalid_date', message: `${field.label}: ungültiges Datum` });
+        } else if (field.type === 'time' && !TIME_PATTERN.test(text)) {
+            errors.push({ field: field.key, code: 'invalid_time', message: `${field.label}: ungültige Uhrzeit` });
+        } else if (field.type === 'email' && !kontakt.isValidEmail(text)) {
+            errors.push({ field: field.key, code: 'invalid_email', message: `${field.label}: ungültige E-Mail-Adresse` });
+        } else if (field.type === 'phone' && !kontakt.isValidPhone(text)) {
+            errors.push({ field: field.key, code: 'invalid_phone', message: `${field.label}: ungültige Telefonnummer` });
+        } else if (field.type === 'plz' && !address.isValidPlz(text)) {
+            errors.push({ field: field.key, code: 'invalid_plz', message: `${field.label}: bitte fünfstellige Postleitzahl angeben` });
+        } else if (field.type === 'kennzeichen') {
+            const plate = kennzeichen.parse(text);
+            if (!plate.valid) {
+                errors.push({ field: field.key, code: 'invalid_kennzeichen', message: `${field.label}: ${plate.error}` });
+            }
+        } else if (field.type === 'vin') {
+            const decoded = vin.decode(text);
+            if (!decoded.valid) {
+                errors.push({ field: field.key, code: 'invalid_vin', message: decoded.error });
+            }
+        } else if (field.type === 'image') {
+            const image = imagePayload.inspect(text, { label: field.label, ...field.limits });
+            if (!image.valid) {
+                errors.push({ field: field.key, code: image.code, message: image.error });
+            }
+        }
+    });
+
+    FORM_SCHEMA.sections.forEach(section => {
+        (section.requireOneOf || [])
+            .filter(rule => rule.fields.every(key => isEmpty(data[key])))
+            .forEach(rule => {
+                errors.push({ field: rule.fields[0], code: 'required', message: rule.message });
+            });
+    });
+
+    return errors;
+}
+
+function notionValue(type, content) {
+    switch (type) {
+        case 'title':
+            return { title: [{ text: { content } }] };
+        case 'rich_text':
+            return { rich_text: [{ text: { content } }] };
+        case 'email':
+            return { email: content || null };
+        case 'phone_number':
+            return { phone_number: content || null };
+        default:
+            throw new Error(`Unsupported Notion property type: ${type}`);
+    }
+}
+
+// Notion properties of one database built from the fields mapped to it
+function notionProperties(database, data) {
+    const properties = {};
+
+    allFields().forEach(field => {
+        (field.notion || [])
+            .filter(mapping => mapping.database === database)
+            .forEach(mapping => {
+                const content = data[field.key] ? data[field.key].toString().trim() : '';
+                properties[mapping.property] = notionValue(mapping.type, content);
+            });
+    });
+
+    return properties;
+}
+
+module.exports = {
+    FORM_SCHEMA,
+    CONSUMERS,
+    allFields,
+    getField,
+    getSection,
+    label,
+    fieldName,
+    isChecked,
+    mapFields,
+    validate,
+    notionProperties,
+};
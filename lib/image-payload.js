@@ -0,0 +1,89 @@
+// DS Gutachten Formular - Image payloads
+// Strict checks for images sent as data URLs (signature, schema fields of type image): PNG only,
+// byte and pixel limits, and a re-encoded copy so only our own PNG ever reaches PDFKit
+
+const png = require('./png');
+
+const LIMITS = {
+    maxBytes: 512 * 1024,
+    maxWidth: 2000,
+    maxHeight: 1000,
+};
+
+const DATA_URL_PATTERN = /^data:([^,;]*)((?:;[^,;]*)*),(.*)$/s;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Recognized by content, not by what the data URL claims
+const FILE_TYPES = [
+    { type: 'PNG', test: buffer => png.isPng(buffer) },
+    { type: 'JPEG', test: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { type: 'GIF', test: buffer => buffer.toString('latin1', 0, 4) === 'GIF8' },
+    { type: 'WebP', test: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+    { type: 'PDF', test: buffer => buffer.toString('latin1', 0, 5) === '%PDF-' },
+    { type: 'SVG', test: buffer => /^\s*<(\?xml|svg)/i.test(buffer.toString('utf8', 0, 100)) },
+];
+
+function sniffType(buffer) {
+    const match = FILE_TYPES.find(fileType => fileType.test(buffer));
+    return match ? match.type : null;
+}
+
+function invalid(code, error) {
+    return { valid: false, code, error };
+}
+
+function formatBytes(bytes) {
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Checks a data URL and decodes it. Returns { valid: true, buffer, width, height, pixels } with
+ * buffer as a freshly encoded PNG, or { valid: false, code, error } with a German message.
+ */
+function inspect(value, { label = 'Bild', ...limits } = {}) {
+    const { maxBytes, maxWidth, maxHeight } = { ...LIMITS, ...limits };
+
+    const match = typeof value === 'string' && value.match(DATA_URL_PATTERN);
+    if (!match || !match[2].split(';').includes('base64') || !BASE64_PATTERN.test(match[3])) {
+        return invalid('image_invalid', `${label} muss als Base64-kodiertes PNG-Bild übermittelt werden`);
+    }
+
+    // Size from the Base64 length, before anything is allocated
+    const byteLength = Math.floor(match[3].length * 3 / 4) - (match[3].match(/=*$/)[0].length);
+    if (byteLength > maxBytes) {
+        return invalid('image_too_large', `${label} ist zu groß (${formatBytes(byteLength)}, max. ${formatBytes(maxBytes)})`);
+    }
+
+    const buffer = Buffer.from(match[3], 'base64');
+    const type = sniffType(buffer);
+    if (type !== 'PNG') {
+        return invalid('image_type', `${label}: nur PNG-Bilder sind erlaubt${type ? ` (erkannt: ${type})` : ''}`);
+    }
+
+    const size = png.readSize(buffer);
+    if (!size) {
+        return invalid('image_corrupt', `${label} ist kein gültiges PNG-Bild: PNG-Kopfdaten fehlen`);
+    }
+    if (size.width > maxWidth || size.height > maxHeight) {
+        return invalid('image_dimensions', `${label} ist zu groß (${size.width}×${size.height} Pixel, max. ${maxWidth}×${maxHeight})`);
+    }
+
+    let image;
+    try {
+        image = png.decode(buffer, { maxPixels: maxWidth * maxHeight });
+    } catch (error) {
+        return invalid('image_corrupt', `${label} ist kein gültiges PNG-Bild: ${error.message}`);
+    }
+
+    return {
+        valid: true,
+        buffer: png.encode(image),
+        ...image,
+    };
+}
+
+module.exports = {
+    LIMITS,
+    sniffType,
+    inspect,
+};
@@ -0,0 +1,81 @@
+// DS Gutachten Formular - JSON file store
+// Small persistent key/value store for server-side state (jobs, submissions, ...)
+
+const path = require('path');
+const fs = require('fs');
+
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = {};
+        this.load();
+    }
+
+    load() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        try {
+            this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+        } catch (error) {
+            // Keep the unreadable file for inspection instead of overwriting it
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, backupPath);
+            console.error(`❌ Could not read ${this.filePath}, moved to ${backupPath}:`, error.message);
+            this.records = {};
+        }
+    }
+
+    save() {
+        // Write to a temp file first so a crash never leaves a half-written store
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    get(id) {
+        return this.records[id] || null;
+    }
+
+    set(id, record) {
+        this.records[id] = record;
+        this.save();
+        return record;
+    }
+
+    update(id, changes) {
+        const record = { ...(this.records[id] || {}), ...changes };
+        return this.set(id, record);
+    }
+
+    // Removes every matching record with a single write, returns the removed records
+    deleteWhere(predicate) {
+        const removed = this.values().filter(predicate);
+        if (removed.length === 0) {
+            return removed;
+        }
+        Object.entries(this.records)
+            .filter(([, record]) => removed.includes(record))
+            .forEach(([id]) => delete this.records[id]);
+        this.save();
+        return removed;
+    }
+
+    delete(id) {
+        if (!(id in this.records)) {
+            return false;
+        }
+        delete this.records[id];
+        this.save();
+        return true;
+    }
+
+    values() {
+        return Object.values(this.records);
+    }
+}
+
+module.exports = JsonStore;
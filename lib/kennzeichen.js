@@ -0,0 +1,159 @@
+// DS Gutachten Formular - German license plates (Kennzeichen)
+// Parses free-form input ("bi ab123", "BI-AB 123 H", "BI AB 12 04/10") into one canonical
+// form ("BI-AB 123", "BI-AB 123H") used for customer lookups and folder names
+
+const UNTERSCHEIDUNGSZEICHEN = new Set(require('./data/unterscheidungszeichen.json'));
+
+// Behörden and organisations whose plates carry digits only (e.g. "Y-123456" for the Bundeswehr)
+const SPECIAL_SERIES = new Set([
+    'Y', 'X', 'BD', 'BP', 'BW', 'THW',
+    'BBL', 'BWL', 'BYL', 'LSA', 'LSN', 'MVL', 'NRW', 'RPL', 'SAL', 'THL',
+]);
+
+// Red plates carry digits only, starting with 06 (dealers, workshops) or 07 (classic cars), e.g. "BI-06123"
+const RED_SERIES = /^0[67]\d{1,4}$/;
+
+// Letter combinations that are never issued
+const FORBIDDEN_LETTERS = new Set(['HJ', 'KZ', 'NS', 'SA', 'SS']);
+
+// Unterscheidungszeichen, letters and digits together, without the E/H suffix
+const MAX_CHARACTERS = 8;
+
+function invalid(error) {
+    return { valid: false, error };
+}
+
+// Season plates show the months of validity on the right edge, e.g. "04/10" (April to October)
+function extractSeason(text) {
+    const match = text.match(/\s+\(?(\d{1,2})\s*[/-]\s*(\d{1,2})\)?$/);
+    if (!match) {
+        return { text, season: null };
+    }
+
+    const from = parseInt(match[1], 10);
+    const to = parseInt(match[2], 10);
+    return {
+        text: text.slice(0, match.index),
+        season: { from, to },
+    };
+}
+
+// All ways the letter block can be split into Unterscheidungszeichen and Erkennungsbuchstaben
+function candidateSplits(groups) {
+    if (groups.length === 2) {
+        return [{ code: groups[0], letters: groups[1] }];
+    }
+    if (groups.length !== 1) {
+        return [];
+    }
+
+    const letters = groups[0];
+    const splits = [];
+    for (let length = 1; length <= Math.min(3, letters.length); length++) {
+        splits.push({ code: letters.slice(0, length), letters: letters.slice(length) });
+    }
+    return splits;
+}
+
+function checkSplit({ code, letters }, digits, suffix) {
+    if (!UNTERSCHEIDUNGSZEICHEN.has(code)) {
+        return `Unbekanntes Unterscheidungszeichen "${code}"`;
+    }
+
+    if (letters === '' && RED_SERIES.test(digits)) {
+        if (suffix) {
+            return 'Rote Kennzeichen haben keinen E- oder H-Zusatz';
+        }
+        return code.length + digits.length <= MAX_CHARACTERS ? null : `Höchstens ${MAX_CHARACTERS} Zeichen erlaubt`;
+    }
+    if (digits.startsWith('0')) {
+        return 'Die Erkennungsnummer darf nicht mit 0 beginnen';
+    }
+
+    if (SPECIAL_SERIES.has(code) && letters === '') {
+        return digits.length <= 6 ? null : 'Zu viele Ziffern';
+    }
+
+    if (!/^[A-Z]{1,2}$/.test(letters)) {
+        return 'Nach dem Unterscheidungszeichen müssen ein oder zwei Buchstaben folgen';
+    }
+    if (FORBIDDEN_LETTERS.has(letters)) {
+        return `Die Buchstabenkombination "${letters}" wird nicht vergeben`;
+    }
+    if (digits.length > 4) {
+        return 'Höchstens vier Ziffern erlaubt';
+    }
+    if (code.length + letters.length + digits.length > MAX_CHARACTERS) {
+        return `Höchstens ${MAX_CHARACTERS} Zeichen erlaubt`;
+    }
+    return null;
+}
+
+/**
+ * Parses a plate. Returns { valid: true, canonical, code, letters, digits, suffix, season, special, red }
+ * or { valid: false, error } with a German message for the user.
+ */
+function parse(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        return invalid('Kein Kennzeichen angegeben');
+    }
+
+    const extracted = extractSeason(input.trim().toLocaleUpperCase('de-DE'));
+    const { season } = extracted;
+    if (season && (season.from < 1 || season.from > 12 || season.to < 1 || season.to > 12 || season.from === season.to)) {
+        return invalid('Ungültiger Zeitraum für Saisonkennzeichen');
+    }
+
+    // Digit groups may be spaced, e.g. "Y-123 456"
+    const match = extracted.text.match(/^([A-ZÄÖÜ][A-ZÄÖÜ\s:-]*?)[\s:-]*(\d[\d ]*?)\s*([EH])?$/);
+    if (!match) {
+        return invalid('Ungültiges Format (Beispiel: BI-AB 123)');
+    }
+
+    const [, letterBlock, digitBlock, suffix = ''] = match;
+    const digits = digitBlock.replace(/ /g, '');
+    const groups = letterBlock.split(/[\s:-]+/).filter(Boolean);
+    const results = candidateSplits(groups).map(split => ({ ...split, error: checkSplit(split, digits, suffix) }));
+    const matches = results.filter(result => !result.error);
+
+    if (matches.length === 0) {
+        return invalid(results.length > 0 ? results[results.length - 1].error : 'Ungültiges Format (Beispiel: BI-AB 123)');
+    }
+    if (matches.length > 1) {
+        const options = matches.map(result => `${result.code}-${result.letters} ${digits}`).join(' oder ');
+        return invalid(`Kennzeichen ist nicht eindeutig (${options}), bitte mit Bindestrich eingeben`);
+    }
+
+    const { code, letters } = matches[0];
+    const red = letters === '' && RED_SERIES.test(digits);
+    const special = !red && SPECIAL_SERIES.has(code) && letters === '';
+    const canonical = special || red
+        ? `${code}-${digits}${suffix}`
+        : `${code}-${letters} ${digits}${suffix}`;
+
+    return {
+        valid: true,
+        canonical,
+        code,
+        letters,
+        digits,
+        suffix: suffix || null,
+        season,
+        special,
+        red,
+    };
+}
+
+// Canonical form, or null when the input is not a valid plate
+function normalize(input) {
+    const plate = parse(input);
+    return plate.valid ? plate.canonical : null;
+}
+
+module.exports = {
+    UNTERSCHEIDUNGSZEICHEN,
+    SPECIAL_SERIES,
+    RED_SERIES,
+    parse,
+    normalize,
+};
@@ -0,0 +1,66 @@
+// DS Gutachten Formular - Contact details
+// Email and phone validation, E.164 normalization and a parser for the old combined "E-Mail / Telefon" field
+
+const DEFAULT_COUNTRY_CODE = '49';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+function normalizeEmail(value) {
+    const email = String(value || '').trim();
+    const at = email.lastIndexOf('@');
+    // The domain part is case-insensitive, the local part is kept as entered
+    return at === -1 ? email : `${email.slice(0, at)}@${email.slice(at + 1).toLowerCase()}`;
+}
+
+function isValidEmail(value) {
+    return EMAIL_PATTERN.test(String(value || '')) && String(value).length <= 254;
+}
+
+// "0151 / 123 456-7", "+49 (0) 151 1234567", "0049 151..." -> "+491511234567", or null
+function normalizePhone(value, countryCode = DEFAULT_COUNTRY_CODE) {
+    let phone = String(value || '').trim().replace(/\(0\)/g, '');
+    if (!/^\+?[\d\s()/.-]+$/.test(phone)) {
+        return null;
+    }
+
+    phone = phone.replace(/[\s()/.-]/g, '');
+    if (phone.startsWith('+')) {
+        phone = `+${phone.slice(1)}`;
+    } else if (phone.startsWith('00')) {
+        phone = `+${phone.slice(2)}`;
+    } else if (phone.startsWith('0')) {
+        phone = `+${countryCode}${phone.slice(1)}`;
+    } else {
+        phone = `+${countryCode}${phone}`;
+    }
+
+    return E164_PATTERN.test(phone) ? phone : null;
+}
+
+function isValidPhone(value) {
+    return E164_PATTERN.test(String(value || ''));
+}
+
+// Splits an old "E-Mail / Telefon" value, which may also hold only one of the two
+function parseLegacyKontakt(value) {
+    const text = String(value || '').trim();
+    const emailMatch = text.match(/[^\s@/,;]+@[^\s@/,;]+/);
+    const email = emailMatch ? emailMatch[0] : '';
+    const rest = emailMatch ? text.replace(emailMatch[0], ' ') : text;
+
+    // Whatever is left is taken as the phone number (and rejected by validation if it is none)
+    return {
+        email,
+        telefon: rest.replace(/^[\s/,;]+|[\s/,;]+$/g, ''),
+    };
+}
+
+module.exports = {
+    DEFAULT_COUNTRY_CODE,
+    normalizeEmail,
+    isValidEmail,
+    normalizePhone,
+    isValidPhone,
+    parseLegacyKontakt,
+};
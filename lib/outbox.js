@@ -0,0 +1,221 @@
+// DS Gutachten Formular - Durable outbox
+// Persists integration steps as jobs and retries failed ones with exponential backoff
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    DEAD: 'dead',
+};
+
+// Emits 'settled' with the job once it is done or dead
+class Outbox extends EventEmitter {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.handlers = {};
+        this.maxAttempts = options.maxAttempts || 8;
+        this.baseDelayMs = options.baseDelayMs || 30 * 1000;
+        this.maxDelayMs = options.maxDelayMs || 60 * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || 15 * 1000;
+        this.timer = null;
+        this.processing = false;
+
+        // Jobs that were running when the process died are retried
+        this.store.values()
+            .filter(job => job.status === JOB_STATUS.RUNNING)
+            .forEach(job => this.store.update(job.id, { status: JOB_STATUS.PENDING }));
+    }
+
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    enqueue(type, payload, { submissionId = null, dependsOn = [] } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: uuidv4(),
+            type,
+            submissionId,
+            payload,
+            dependsOn,
+            status: JOB_STATUS.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            checkpoint: {},
+            result: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+        };
+        return this.store.set(job.id, job);
+    }
+
+    getJob(id) {
+        return this.store.get(id);
+    }
+
+    getJobsForSubmission(submissionId) {
+        return this.store.values().filter(job => job.submissionId === submissionId);
+    }
+
+    // A job may run once every job it depends on has finished, successfully or not
+    dependenciesSettled(job) {
+        return job.dependsOn.every(id => {
+            const dependency = this.store.get(id);
+            return !dependency || dependency.status === JOB_STATUS.DONE || dependency.status === JOB_STATUS.DEAD;
+        });
+    }
+
+    backoffDelay(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+    }
+
+    async runJob(id) {
+        let job = this.store.get(id);
+        if (!job || job.status !== JOB_STATUS.PENDING || !this.dependenciesSettled(job)) {
+            return job;
+        }
+
+        const handler = this.handlers[job.type];
+        if (!handler) {
+            throw new Error(`No outbox handler registered for ${job.type}`);
+        }
+
+        job = this.store.update(id, {
+            status: JOB_STATUS.RUNNING,
+            attempts: job.attempts + 1,
+            updatedAt: new Date().toISOString(),
+        });
+
+        const dependencies = {};
+        job.dependsOn.forEach(dependencyId => {
+            const dependency = this.store.get(dependencyId);
+            if (dependency) {
+                dependencies[dependency.type] = dependency;
+            }
+        });
+
+        // Handlers persist intermediate progress so a retry can resume instead of redoing work
+        const saveCheckpoint = (changes) => {
+            const current = this.store.get(id);
+            this.store.update(id, { checkpoint: { ...current.checkpoint, ...changes } });
+        };
+
+        let settledJob;
+        try {
+            const result = await handler(job, { dependencies, saveCheckpoint });
+            console.log(`✅ Outbox job ${job.type} (${job.id}) completed`);
+            settledJob = this.store.update(id, {
+                status: JOB_STATUS.DONE,
+                result,
+                lastError: null,
+                nextAttemptAt: null,
+                updatedAt: new Date().toISOString(),
+            });
+        } catch (error) {
+            const dead = job.attempts >= this.maxAttempts;
+            const nextAttemptAt = dead
+                ? null
+                : new Date(Date.now() + this.backoffDelay(job.attempts)).toISOString();
+
+            if (dead) {
+                console.error(`❌ Outbox job ${job.type} (${job.id}) dead after ${job.attempts} attempts:`, error.message);
+            } else {
+                console.warn(`⚠️  Outbox job ${job.type} (${job.id}) failed, retry at ${nextAttemptAt}:`, error.message);
+            }
+
+            const failedJob = this.store.update(id, {
+                status: dead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+                lastError: error.message,
+                nextAttemptAt,
+                updatedAt: new Date().toISOString(),
+            });
+            if (!dead) {
+                return failedJob;
+            }
+            settledJob = failedJob;
+        }
+
+        this.emitSettled(settledJob);
+        return settledJob;
+    }
+
+    // Listener errors must not change the outcome of the job
+    emitSettled(job) {
+        try {
+            this.emit('settled', job);
+        } catch (error) {
+            console.error(`❌ Outbox settled listener failed for ${job.type} (${job.id}):`, error.message);
+        }
+    }
+
+    cancel(id, reason) {
+        const job = this.store.update(id, {
+            status: JOB_STATUS.DEAD,
+            lastError: reason,
+            nextAttemptAt: null,
+            updatedAt: new Date().toISOString(),
+        });
+        this.emitSettled(job);
+        return job;
+    }
+
+    async processDue() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const now = Date.now();
+            const dueJobs = this.store.values()
+                .filter(job => job.status === JOB_STATUS.PENDING && new Date(job.nextAttemptAt).getTime() <= now)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            for (const job of dueJobs) {
+                await this.runJob(job.id);
+            }
+        } catch (error) {
+            console.error('❌ Outbox processing failed:', error.message);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Drops done and dead jobs last updated before the cutoff, returns them
+    prune(cutoff) {
+        return this.store.deleteWhere(job => (
+            [JOB_STATUS.DONE, JOB_STATUS.DEAD].includes(job.status)
+            && new Date(job.updatedAt).getTime() < cutoff
+        ));
+    }
+
+    stats() {
+        const counts = { pending: 0, running: 0, done: 0, dead: 0 };
+        this.store.values().forEach(job => {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        });
+        return counts;
+    }
+}
+
+Outbox.JOB_STATUS = JOB_STATUS;
+
+module.exports = Outbox;
@@ -0,0 +1,130 @@
+// DS Gutachten Formular - PDF flow layout
+// Write position on a pdfkit document (created with bufferPages) that moves content to the next
+// page when it does not fit: blocks stay in one piece, wrapped text continues line by line.
+// Every new page gets the header, finish() draws the footer on all pages once the count is known.
+
+// Splits text into lines for the current font, keeping the customer's line breaks.
+// last marks the final line of a paragraph, which is never justified.
+function wrapText(doc, text, width) {
+    const lines = [];
+
+    String(text).split(/\r?\n/).forEach(paragraph => {
+        const words = paragraph.split(/\s+/).filter(Boolean);
+        let line = '';
+
+        words.forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (doc.widthOfString(candidate) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) {
+                lines.push({ text: line, last: false });
+            }
+
+            // Words longer than the line (URLs, FINs without spaces) are cut
+            line = '';
+            for (const char of word) {
+                if (line && doc.widthOfString(line + char) > width) {
+                    lines.push({ text: line, last: false });
+                    line = '';
+                }
+                line += char;
+            }
+        });
+
+        lines.push({ text: line, last: true });
+    });
+
+    return lines;
+}
+
+class FlowLayout {
+    /**
+     * options.header(layout, pageNumber) draws the top of a page and moves layout.y below it,
+     * options.footer(layout, pageNumber, pageCount) is called for every page by finish().
+     */
+    constructor(doc, options = {}) {
+        this.doc = doc;
+        this.header = options.header || (() => {});
+        this.footer = options.footer || (() => {});
+        this.startPage();
+    }
+
+    get left() {
+        return this.doc.page.margins.left;
+    }
+
+    get width() {
+        return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    }
+
+    get bottom() {
+        return this.doc.page.height - this.doc.page.margins.bottom;
+    }
+
+    startPage() {
+        this.y = this.doc.page.margins.top;
+        this.header(this, this.doc.bufferedPageRange().count);
+        // Content below the header; a block taller than a page is not moved again from here
+        this.pageTop = this.y;
+    }
+
+    addPage() {
+        this.doc.addPage();
+        this.startPage();
+    }
+
+    // Starts a new page unless a block of this height fits below the current position
+    keepTogether(height) {
+        if (this.y + height > this.bottom && this.y > this.pageTop) {
+            this.addPage();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Calls drawLine(line, y, index) for each line, lineHeight apart, and breaks the page
+     * between lines. continued(layout) runs on every new page before its first line.
+     */
+    flowLines(lines, lineHeight, drawLine, continued = () => {}) {
+        lines.forEach((line, index) => {
+            if (this.y + lineHeight > this.bottom) {
+                this.addPage();
+                continued(this);
+            }
+            drawLine(line, this.y, index);
+            this.y += lineHeight;
+        });
+    }
+
+    // Wrapped text in the current font and colour; align 'justify' stretches all but the last lines
+    text(text, options = {}) {
+        const { doc } = this;
+        const x = options.x !== undefined ? options.x : this.left;
+        const width = options.width || this.width;
+        const lineHeight = options.lineHeight || doc.currentLineHeight(true);
+
+        this.flowLines(wrapText(doc, text, width), lineHeight, (line, y) => {
+            const spaces = (line.text.match(/ /g) || []).length;
+            const wordSpacing = options.align === 'justify' && !line.last && spaces > 0
+                ? (width - doc.widthOfString(line.text)) / spaces
+                : 0;
+            doc.text(line.text, x, y, { lineBreak: false, wordSpacing });
+        });
+    }
+
+    // Footer on every page, with the final page count
+    finish() {
+        const range = this.doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index++) {
+            this.doc.switchToPage(index);
+            this.footer(this, index - range.start + 1, range.count);
+        }
+    }
+}
+
+FlowLayout.wrapText = wrapText;
+
+module.exports = FlowLayout;
@@ -0,0 +1,170 @@
+// DS Gutachten Formular - PDF lifecycle
+// Local archive for generated PDFs plus scheduled cleanup of temp/ and expired archive files
+
+const path = require('path');
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Gutachten-Nr. and Kennzeichen come from the client, never use them unchecked in paths
+function sanitizeFileName(value) {
+    return String(value || '').replace(/[^A-Za-z0-9ÄÖÜäöüß._-]/g, '_').replace(/^\.+/, '_') || '_';
+}
+
+class PdfLifecycle {
+    constructor(options = {}) {
+        this.tempDir = options.tempDir;
+        this.archiveDir = options.archiveDir;
+        this.archiveEnabled = options.archiveEnabled !== false;
+        this.deleteTempAfterUpload = options.deleteTempAfterUpload !== false;
+        this.retentionDays = options.retentionDays || 0;
+        this.tempMaxAgeHours = options.tempMaxAgeHours || 24;
+        this.intervalHours = options.intervalHours || 6;
+        this.isInUse = options.isInUse || (() => false);
+        this.timer = null;
+        this.lastReport = null;
+    }
+
+    // Copies a generated PDF to <archive>/<year>/<Gutachten-Nr.>/
+    archive(filePath, gutachtenNr, date = new Date()) {
+        if (!this.archiveEnabled) {
+            return null;
+        }
+
+        const targetDir = path.join(this.archiveDir, String(date.getFullYear()), sanitizeFileName(gutachtenNr));
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        const archivePath = path.join(targetDir, path.basename(filePath));
+        fs.copyFileSync(filePath, archivePath);
+        return archivePath;
+    }
+
+    // Called once the upload of a temp PDF has been confirmed
+    releaseTemp(filePath) {
+        if (!this.deleteTempAfterUpload || !filePath || !this.isTempFile(filePath)) {
+            return false;
+        }
+
+        try {
+            fs.unlinkSync(filePath);
+            console.log(`🧹 Removed uploaded temp PDF: ${path.basename(filePath)}`);
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not remove temp PDF:', error.message);
+            }
+            return false;
+        }
+    }
+
+    isTempFile(filePath) {
+        return path.resolve(filePath).startsWith(path.resolve(this.tempDir) + path.sep);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        const report = {
+            startedAt: new Date(now).toISOString(),
+            removed: [],
+            keptInUse: 0,
+            freedBytes: 0,
+        };
+
+        const remove = (filePath, stats, reason) => {
+            fs.unlinkSync(filePath);
+            report.removed.push({ path: filePath, reason, size: stats.size });
+            report.freedBytes += stats.size;
+        };
+
+        // Temp PDFs that no pending upload needs anymore
+        this.listFiles(this.tempDir).forEach(({ filePath, stats }) => {
+            if (now - stats.mtimeMs < this.tempMaxAgeHours * HOUR_MS) {
+                return;
+            }
+            if (this.isInUse(filePath)) {
+                report.keptInUse += 1;
+                return;
+            }
+            remove(filePath, stats, 'temp_expired');
+        });
+
+        // Archived PDFs past the retention period (0 = keep forever); a retried upload falls back to the archive
+        if (this.retentionDays > 0) {
+            this.listFiles(this.archiveDir).forEach(({ filePath, stats }) => {
+                if (now - stats.mtimeMs < this.retentionDays * 24 * HOUR_MS) {
+                    return;
+                }
+                if (this.isInUse(filePath)) {
+                    report.keptInUse += 1;
+                    return;
+                }
+                remove(filePath, stats, 'retention_expired');
+            });
+            if (fs.existsSync(this.archiveDir)) {
+                this.removeEmptyDirectories(this.archiveDir);
+            }
+        }
+
+        report.finishedAt = new Date().toISOString();
+        this.lastReport = report;
+
+        console.log(`🧹 PDF cleanup removed ${report.removed.length} file(s), freed ${Math.round(report.freedBytes / 1024)} KB, kept ${report.keptInUse} in use`);
+        report.removed.forEach(entry => console.log(`   - ${entry.path} (${entry.reason})`));
+
+        return report;
+    }
+
+    listFiles(dir) {
+        if (!dir || !fs.existsSync(dir)) {
+            return [];
+        }
+
+        const files = [];
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const filePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this.listFiles(filePath));
+            } else if (entry.name.toLowerCase().endsWith('.pdf')) {
+                files.push({ filePath, stats: fs.statSync(filePath) });
+            }
+        });
+        return files;
+    }
+
+    removeEmptyDirectories(dir, isRoot = true) {
+        fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .forEach(entry => this.removeEmptyDirectories(path.join(dir, entry.name), false));
+
+        if (!isRoot && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const run = () => {
+            try {
+                this.cleanup();
+            } catch (error) {
+                console.error('❌ PDF cleanup failed:', error.message);
+            }
+        };
+
+        this.timer = setInterval(run, this.intervalHours * HOUR_MS);
+        this.timer.unref();
+        setImmediate(run);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+PdfLifecycle.sanitizeFileName = sanitizeFileName;
+
+module.exports = PdfLifecycle;
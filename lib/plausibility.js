@@ -0,0 +1,163 @@
+// DS Gutachten Formular - Plausibility rules
+// Checks beyond required fields and formats (those are in lib/form-schema.js). Errors block the
+// submission, warnings are shown before the final submit and added to the Gutachten page in Notion.
+
+const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    OFF: 'off',
+};
+
+const LIMITS = {
+    maxUnfallAgeYears: 3,
+    maxKilometerstand: 1000000,
+    minProfiltiefeMm: 0,
+    maxProfiltiefeMm: 12,
+};
+
+const TIME_ZONE = 'Europe/Berlin';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// "85.000 km", "85 000", "85000" -> 85000; null when it is not a number
+function parseKilometerstand(value) {
+    const text = String(value || '').trim().replace(/\s*km$/i, '').replace(/\s/g, '');
+    if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+        return Number(text.replace(/\./g, ''));
+    }
+    if (/^\d+([.,]\d+)?$/.test(text)) {
+        return Number(text.replace(',', '.'));
+    }
+    return null;
+}
+
+// Tread depths in free text, e.g. "vorne 4 mm, hinten 3,5mm" -> [4, 3.5]; tyre sizes are ignored.
+// A minus counts only in front of a number, so "4-5 mm" is 5 and not -5.
+function parseProfiltiefen(value) {
+    return [...String(value || '').matchAll(/((?:(?<![\w.,])-)?\d+(?:[.,]\d+)?)\s*mm\b/gi)]
+        .map(match => Number(match[1].replace(',', '.')));
+}
+
+// Today's date and time in Germany, whatever the server's time zone
+function berlinNow(date = new Date()) {
+    return {
+        today: date.toLocaleDateString('sv-SE', { timeZone: TIME_ZONE }),
+        time: date.toLocaleTimeString('de-DE', { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit' }),
+    };
+}
+
+function yearsBefore(isoDate, years) {
+    return `${Number(isoDate.slice(0, 4)) - years}${isoDate.slice(4)}`;
+}
+
+// Each rule returns a German message when it is violated, otherwise null
+const RULES = [
+    {
+        id: 'unfall_tag_future',
+        field: 'unfall_tag',
+        severity: SEVERITY.ERROR,
+        check: (data, now) => (DATE_PATTERN.test(data.unfall_tag || '') && data.unfall_tag > now.today
+            ? 'Der Unfalltag liegt in der Zukunft'
+            : null),
+    },
+    {
+        id: 'unfall_tag_too_old',
+        field: 'unfall_tag',
+        severity: SEVERITY.WARNING,
+        check: (data, now) => (DATE_PATTERN.test(data.unfall_tag || '') && data.unfall_tag < yearsBefore(now.today, LIMITS.maxUnfallAgeYears)
+            ? `Der Unfalltag liegt mehr als ${LIMITS.maxUnfallAgeYears} Jahre zurück`
+            : null),
+    },
+    {
+        id: 'unfall_uhrzeit_future',
+        field: 'unfall_uhrzeit',
+        severity: SEVERITY.WARNING,
+        check: (data, now) => (data.unfall_tag === now.today && TIME_PATTERN.test(data.unfall_uhrzeit || '') && data.unfall_uhrzeit > now.time
+            ? 'Die Uhrzeit des Unfalls liegt in der Zukunft'
+            : null),
+    },
+    {
+        id: 'kilometerstand_numeric',
+        field: 'sonstiges_kilometerstand',
+        severity: SEVERITY.ERROR,
+        check: data => (data.sonstiges_kilometerstand && parseKilometerstand(data.sonstiges_kilometerstand) === null
+            ? 'Kilometerstand: bitte nur eine Zahl angeben (z. B. 85000)'
+            : null),
+    },
+    {
+        id: 'kilometerstand_range',
+        field: 'sonstiges_kilometerstand',
+        severity: SEVERITY.WARNING,
+        check: data => {
+            const km = parseKilometerstand(data.sonstiges_kilometerstand);
+            return km !== null && km > LIMITS.maxKilometerstand
+                ? `Kilometerstand über ${LIMITS.maxKilometerstand.toLocaleString('de-DE')} km, bitte prüfen`
+                : null;
+        },
+    },
+    {
+        id: 'profiltiefe_range',
+        field: 'sonstiges_reifen',
+        severity: SEVERITY.WARNING,
+        check: data => (parseProfiltiefen(data.sonstiges_reifen)
+            .some(mm => mm < LIMITS.minProfiltiefeMm || mm > LIMITS.maxProfiltiefeMm)
+            ? `Profiltiefe außerhalb von ${LIMITS.minProfiltiefeMm} bis ${LIMITS.maxProfiltiefeMm} mm, bitte prüfen`
+            : null),
+    },
+    {
+        id: 'kennzeichen_identical',
+        field: 'gegner_kennzeichen',
+        severity: SEVERITY.ERROR,
+        // Both plates are canonical after normalizeFormData
+        check: data => (data.gegner_kennzeichen && data.gegner_kennzeichen === data.auftraggeber_kennzeichen
+            ? 'Das Kennzeichen des Gegners ist identisch mit dem eigenen Kennzeichen'
+            : null),
+    },
+];
+
+// "unfall_tag_too_old=error,kilometerstand_range=off" (PLAUSIBILITY_RULES) -> { ruleId: severity }
+function parseSeverities(value) {
+    const severities = {};
+    String(value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const [id, severity] = item.split('=').map(part => part.trim());
+        if (!RULES.some(rule => rule.id === id) || !Object.values(SEVERITY).includes(severity)) {
+            throw new Error(`Invalid plausibility rule setting: ${item}`);
+        }
+        severities[id] = severity;
+    });
+    return severities;
+}
+
+/**
+ * Runs the rules on normalized form data. Returns { errors, warnings }, both as
+ * [{ field, code, message }] with the rule ID as code.
+ */
+function check(data, { severities = {}, now = new Date() } = {}) {
+    const result = { errors: [], warnings: [] };
+    const current = berlinNow(now);
+
+    RULES.forEach(rule => {
+        const severity = severities[rule.id] || rule.severity;
+        if (severity === SEVERITY.OFF) {
+            return;
+        }
+
+        const message = rule.check(data, current);
+        if (message) {
+            const list = severity === SEVERITY.ERROR ? result.errors : result.warnings;
+            list.push({ field: rule.field, code: rule.id, message });
+        }
+    });
+
+    return result;
+}
+
+module.exports = {
+    SEVERITY,
+    LIMITS,
+    RULES,
+    parseKilometerstand,
+    parseProfiltiefen,
+    parseSeverities,
+    check,
+};
@@ -0,0 +1,247 @@
+// DS Gutachten Formular - PNG decoder and encoder
+// Small, strict decoder for the images we accept (8-bit, non-interlaced) and a plain RGBA encoder,
+// without native dependencies
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per color type: grayscale, RGB, palette, grayscale + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function readChunks(buffer) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const dataEnd = offset + 8 + length;
+        if (dataEnd + 4 > buffer.length) {
+            throw new Error('PNG-Datei ist abgeschnitten');
+        }
+        if (crc32(buffer.subarray(offset + 4, dataEnd)) !== buffer.readUInt32BE(dataEnd)) {
+            throw new Error(`PNG-Prüfsumme im Abschnitt ${type} ist falsch`);
+        }
+
+        chunks.push({ type, data: buffer.subarray(offset + 8, dataEnd) });
+        offset = dataEnd + 4;
+        if (type === 'IEND') {
+            return chunks;
+        }
+    }
+
+    throw new Error('PNG-Datei ist unvollständig');
+}
+
+function isPng(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+// Width and height from the IHDR chunk, read before anything is decompressed
+function readSize(buffer) {
+    if (!isPng(buffer) || buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readHeader(chunks) {
+    if (chunks.length === 0 || chunks[0].type !== 'IHDR' || chunks[0].data.length !== 13) {
+        return null;
+    }
+
+    const data = chunks[0].data;
+    return {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        compression: data[10],
+        filter: data[11],
+        interlace: data[12],
+    };
+}
+
+// Reverses the per-row filters (PNG spec, section 9)
+function unfilter(raw, width, height, channels) {
+    const stride = width * channels;
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filterType = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[row + x - channels] : 0;
+            const up = y > 0 ? pixels[previous + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[previous + x - channels] : 0;
+
+            let value;
+            switch (filterType) {
+                case 0: value = line[x]; break;
+                case 1: value = line[x] + left; break;
+                case 2: value = line[x] + up; break;
+                case 3: value = line[x] + ((left + up) >> 1); break;
+                case 4: value = line[x] + paeth(left, up, upLeft); break;
+                default: throw new Error(`Unbekannter PNG-Filter ${filterType}`);
+            }
+            pixels[row + x] = value & 0xff;
+        }
+    }
+
+    return pixels;
+}
+
+function toRgba(pixels, header, palette, transparency) {
+    const { width, height, colorType } = header;
+    const channels = CHANNELS[colorType];
+    const rgba = Buffer.alloc(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        const source = i * channels;
+        const target = i * 4;
+
+        if (colorType === 3) {
+            const index = pixels[source];
+            if (!palette || index * 3 + 2 >= palette.length) {
+                throw new Error('PNG-Palette ist ungültig');
+            }
+            rgba[target] = palette[index * 3];
+            rgba[target + 1] = palette[index * 3 + 1];
+            rgba[target + 2] = palette[index * 3 + 2];
+            rgba[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (colorType === 0 || colorType === 4) {
+            rgba[target] = rgba[target + 1] = rgba[target + 2] = pixels[source];
+            rgba[target + 3] = colorType === 4 ? pixels[source + 1] : 255;
+        } else {
+            rgba[target] = pixels[source];
+            rgba[target + 1] = pixels[source + 1];
+            rgba[target + 2] = pixels[source + 2];
+            rgba[target + 3] = colorType === 6 ? pixels[source + 3] : 255;
+        }
+    }
+
+    return rgba;
+}
+
+/**
+ * Decodes a PNG into { width, height, pixels } with pixels as RGBA bytes.
+ * Throws on anything unexpected; maxPixels guards against decompression bombs.
+ */
+function decode(buffer, { maxPixels = 4096 * 4096 } = {}) {
+    if (!isPng(buffer)) {
+        throw new Error('Keine PNG-Datei');
+    }
+
+    const chunks = readChunks(buffer);
+    const header = readHeader(chunks);
+    if (!header) {
+        throw new Error('PNG-Kopfdaten fehlen');
+    }
+
+    const { width, height, bitDepth, colorType } = header;
+    if (width === 0 || height === 0 || width * height > maxPixels) {
+        throw new Error(`PNG-Bildgröße ${width}×${height} ist nicht zulässig`);
+    }
+    if (bitDepth !== 8 || !(colorType in CHANNELS) || header.compression !== 0 || header.filter !== 0 || header.interlace !== 0) {
+        throw new Error('PNG-Format wird nicht unterstützt (nur 8 Bit, ohne Interlacing)');
+    }
+
+    const find = type => chunks.find(chunk => chunk.type === type);
+    const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+    const expectedLength = (width * CHANNELS[colorType] + 1) * height;
+
+    let raw;
+    try {
+        raw = zlib.inflateSync(compressed, { maxOutputLength: expectedLength });
+    } catch (error) {
+        throw new Error('PNG-Bilddaten sind beschädigt');
+    }
+    if (raw.length !== expectedLength) {
+        throw new Error('PNG-Bilddaten haben die falsche Länge');
+    }
+
+    const pixels = unfilter(raw, width, height, CHANNELS[colorType]);
+    return {
+        width,
+        height,
+        pixels: toRgba(pixels, header, find('PLTE') && find('PLTE').data, find('tRNS') && find('tRNS').data),
+    };
+}
+
+function encodeChunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encodes RGBA pixels ({ width, height, pixels } as returned by decode) into a new PNG
+ * with only IHDR, IDAT and IEND, so nothing from the original file is passed on.
+ */
+function encode({ width, height, pixels }) {
+    const stride = width * 4;
+    if (!Buffer.isBuffer(pixels) || pixels.length !== stride * height) {
+        throw new Error('Pixeldaten passen nicht zur Bildgröße');
+    }
+
+    // 8-bit RGBA, deflate, standard filters, no interlacing
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    // Every row with filter type 0 (none)
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        encodeChunk('IHDR', header),
+        encodeChunk('IDAT', zlib.deflateSync(raw)),
+        encodeChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+module.exports = {
+    decode,
+    encode,
+    isPng,
+    readSize,
+    crc32,
+    PNG_SIGNATURE,
+};
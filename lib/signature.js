@@ -0,0 +1,87 @@
+// DS Gutachten Formular - Customer signature
+// Checks the signature canvas (PNG data URL) and rejects blank or near-blank drawings
+
+const imagePayload = require('./image-payload');
+
+// A pixel counts as ink when it is visible and dark enough
+const INK_MIN_ALPHA = 64;
+const INK_MAX_LUMINANCE = 160;
+
+// Minimum ink: share of the canvas covered and size of the drawn area relative to the canvas
+const THRESHOLDS = {
+    minInkPixels: 80,
+    minCoverage: 0.002,
+    minExtentX: 0.15,
+    minExtentY: 0.05,
+};
+
+function invalid(code, error) {
+    return { valid: false, code, error };
+}
+
+function measureInk({ width, height, pixels }) {
+    let inkPixels = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+            if (pixels[i + 3] >= INK_MIN_ALPHA && luminance <= INK_MAX_LUMINANCE) {
+                inkPixels += 1;
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+
+    return {
+        inkPixels,
+        coverage: inkPixels / (width * height),
+        extent: inkPixels > 0
+            ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+            : { x: 0, y: 0, width: 0, height: 0 },
+    };
+}
+
+/**
+ * Inspects a signature data URL. Returns { valid: true, buffer, width, height, inkPixels, coverage, extent }
+ * or { valid: false, code, error } with a German message for the user. buffer is the re-encoded PNG
+ * from lib/image-payload.js, never the bytes the client sent.
+ */
+function inspect(value, thresholds = THRESHOLDS) {
+    if (!value || value === 'data:,') {
+        return invalid('signature_missing', 'Unterschrift fehlt');
+    }
+
+    // PNG only, size limits and re-encoding, see lib/image-payload.js
+    const image = imagePayload.inspect(value, { label: 'Unterschrift' });
+    if (!image.valid) {
+        return image;
+    }
+
+    const ink = measureInk(image);
+    const tooSmall = ink.extent.width < image.width * thresholds.minExtentX
+        || ink.extent.height < image.height * thresholds.minExtentY;
+    if (ink.inkPixels < thresholds.minInkPixels || ink.coverage < thresholds.minCoverage || tooSmall) {
+        return invalid('signature_blank', 'Unterschrift ist leer oder zu klein, bitte erneut unterschreiben');
+    }
+
+    return {
+        valid: true,
+        buffer: image.buffer,
+        width: image.width,
+        height: image.height,
+        ...ink,
+    };
+}
+
+module.exports = {
+    THRESHOLDS,
+    inspect,
+};
@@ -0,0 +1,67 @@
+// DS Gutachten Formular - Submission sinks
+// Registry of pipeline steps (PDF renderer, storage, CRM, ...) and their configuration
+
+class SinkRegistry {
+    constructor() {
+        this.sinks = {};
+    }
+
+    // A sink is { name, label, dependsOn, retry, skipReason(), run(formData, inputs, progress) }.
+    // run() receives the results of its dependencies as inputs (null when they failed or were skipped).
+    register(sink) {
+        if (this.sinks[sink.name]) {
+            throw new Error(`Sink ${sink.name} is already registered`);
+        }
+
+        this.sinks[sink.name] = {
+            dependsOn: [],
+            retry: false,
+            skipReason: () => null,
+            ...sink,
+        };
+    }
+
+    get(name) {
+        return this.sinks[name] || null;
+    }
+
+    names() {
+        return Object.keys(this.sinks);
+    }
+
+    // Turns the configured sink list into the ordered pipeline, each entry flagged as blocking or not
+    resolve(enabledNames, blockingNames = []) {
+        const pipeline = [];
+
+        enabledNames.forEach(name => {
+            const sink = this.sinks[name];
+            if (!sink) {
+                throw new Error(`Unknown submission sink: ${name}`);
+            }
+            if (pipeline.some(entry => entry.name === name)) {
+                throw new Error(`Submission sink configured twice: ${name}`);
+            }
+
+            // Dependencies that are switched on must run first
+            sink.dependsOn
+                .filter(dependency => enabledNames.includes(dependency))
+                .forEach(dependency => {
+                    if (!pipeline.some(entry => entry.name === dependency)) {
+                        throw new Error(`Submission sink ${name} depends on ${dependency}, which is configured after it`);
+                    }
+                });
+
+            pipeline.push({ ...sink, blocking: blockingNames.includes(name) });
+        });
+
+        blockingNames
+            .filter(name => !enabledNames.includes(name))
+            .forEach(name => {
+                throw new Error(`Blocking submission sink ${name} is not enabled`);
+            });
+
+        return pipeline;
+    }
+}
+
+module.exports = SinkRegistry;
@@ -0,0 +1,121 @@
+// DS Gutachten Formular - Fahrzeug-Identifizierungsnummer (FIN/VIN)
+// Validates the 17-character VIN and decodes manufacturer and model year offline (ISO 3779)
+
+const WMI_TABLE = require('./data/wmi.json');
+
+const VIN_LENGTH = 17;
+const ALLOWED_CHARACTERS = /^[A-HJ-NPR-Z0-9]+$/;
+
+const TRANSLITERATION = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10, repeating every 30 years: A = 1980/2010, ..., Y = 2000/2030, 1 = 2001/2031, ...
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+// The check digit is mandatory for North America and China, elsewhere position 9 is up to the manufacturer
+const CHECK_DIGIT_REGIONS = /^[1-5L]/;
+
+const REGIONS = {
+    A: 'Südafrika', J: 'Japan', K: 'Südkorea', L: 'China', M: 'Indien/Südostasien', N: 'Türkei',
+    S: 'Großbritannien/Polen', T: 'Schweiz/Tschechien/Ungarn', U: 'Rumänien/Slowakei',
+    V: 'Frankreich/Spanien', W: 'Deutschland', X: 'Osteuropa', Y: 'Schweden/Finnland/Belgien', Z: 'Italien',
+    1: 'USA', 2: 'Kanada', 3: 'Mexiko', 4: 'USA', 5: 'USA', 6: 'Australien', 7: 'Neuseeland', 8: 'Südamerika', 9: 'Brasilien',
+};
+
+function invalid(error) {
+    return { valid: false, error };
+}
+
+function normalize(input) {
+    return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function computeCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, character, index) => {
+        const value = /\d/.test(character) ? Number(character) : TRANSLITERATION[character];
+        return total + value * WEIGHTS[index];
+    }, 0);
+
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+function decodeModelYear(vin, currentYear = new Date().getFullYear()) {
+    const index = YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) {
+        return null;
+    }
+
+    const base = 1980 + index;
+    // North American VINs carry a letter at position 7 from 2010 on
+    if (CHECK_DIGIT_REGIONS.test(vin)) {
+        return /[A-Z]/.test(vin[6]) ? base + 30 : base;
+    }
+
+    // Otherwise the most recent matching year that is not in the future
+    let year = base;
+    while (year + 30 <= currentYear + 1) {
+        year += 30;
+    }
+    return year;
+}
+
+/**
+ * Decodes a VIN. Returns { valid: true, vin, wmi, manufacturer, country, modelYear, checkDigit }
+ * or { valid: false, error } with a German message for the user.
+ */
+function decode(input) {
+    const vin = normalize(input);
+
+    if (vin.length !== VIN_LENGTH) {
+        return invalid(`Die Fahrzeugstellnummer muss ${VIN_LENGTH} Zeichen lang sein (eingegeben: ${vin.length})`);
+    }
+    if (!ALLOWED_CHARACTERS.test(vin)) {
+        const characters = [...new Set(vin.replace(/[A-HJ-NPR-Z0-9]/g, ''))].join(', ');
+        return invalid(`Unzulässige Zeichen in der Fahrzeugstellnummer: ${characters} (I, O und Q kommen nicht vor)`);
+    }
+
+    const expected = computeCheckDigit(vin);
+    const checkDigit = {
+        required: CHECK_DIGIT_REGIONS.test(vin),
+        valid: vin[8] === expected,
+    };
+    if (checkDigit.required && !checkDigit.valid) {
+        return invalid(`Prüfziffer der Fahrzeugstellnummer stimmt nicht (Stelle 9 müsste ${expected} sein)`);
+    }
+
+    const wmi = vin.slice(0, 3);
+    return {
+        valid: true,
+        vin,
+        wmi,
+        manufacturer: WMI_TABLE[wmi] || null,
+        country: REGIONS[vin[0]] || null,
+        modelYear: decodeModelYear(vin),
+        checkDigit,
+    };
+}
+
+// Short German description for the PDF and Notion, e.g. "Volkswagen, Modelljahr 2019"
+function describe(decoded) {
+    if (!decoded || !decoded.valid) {
+        return '';
+    }
+
+    const parts = [decoded.manufacturer || `Hersteller unbekannt (WMI ${decoded.wmi}${decoded.country ? `, ${decoded.country}` : ''})`];
+    if (decoded.modelYear) {
+        parts.push(`Modelljahr ${decoded.modelYear}`);
+    }
+    return parts.join(', ');
+}
+
+module.exports = {
+    normalize,
+    computeCheckDigit,
+    decode,
+    describe,
+};
@@ -0,0 +1,112 @@
+// DS Gutachten Formular - Outgoing webhooks
+// Signs submission events with HMAC-SHA256 and delivers them through the outbox (with retries)
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = ['submission.created', 'submission.completed', 'integration.failed'];
+const JOB_TYPE = 'webhook';
+
+// WEBHOOKS='[{"url":"https://...","secret":"...","events":["submission.completed"]}]'
+function parseEndpoints(value) {
+    if (!value) {
+        return [];
+    }
+
+    let endpoints;
+    try {
+        endpoints = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`WEBHOOKS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(endpoints)) {
+        throw new Error('WEBHOOKS must be a JSON array');
+    }
+
+    return endpoints.map(endpoint => {
+        if (!endpoint.url || !endpoint.secret) {
+            throw new Error('Every webhook needs a url and a secret');
+        }
+        const events = endpoint.events || WEBHOOK_EVENTS;
+        events
+            .filter(event => !WEBHOOK_EVENTS.includes(event))
+            .forEach(event => {
+                throw new Error(`Unknown webhook event: ${event}`);
+            });
+        return { url: endpoint.url, secret: endpoint.secret, events };
+    });
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class WebhookDispatcher {
+    constructor(outbox, endpoints = [], options = {}) {
+        this.outbox = outbox;
+        this.endpoints = endpoints;
+        this.timeoutMs = options.timeoutMs || 10 * 1000;
+
+        this.outbox.register(JOB_TYPE, (job) => this.deliver(job));
+    }
+
+    emit(type, data, submissionId = null) {
+        const event = {
+            id: uuidv4(),
+            type,
+            createdAt: new Date().toISOString(),
+            data,
+        };
+
+        this.endpoints
+            .filter(endpoint => endpoint.events.includes(type))
+            .forEach(endpoint => {
+                // The secret is looked up at delivery time and never stored with the job
+                const job = this.outbox.enqueue(JOB_TYPE, { url: endpoint.url, event }, { submissionId });
+                this.outbox.runJob(job.id).catch(error => {
+                    console.error('❌ Webhook delivery failed:', error.message);
+                });
+            });
+
+        return event;
+    }
+
+    async deliver(job) {
+        const { url, event } = job.payload;
+        const endpoint = this.endpoints.find(candidate => candidate.url === url);
+        if (!endpoint) {
+            return { skipped: 'Webhook endpoint no longer configured' };
+        }
+
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'DS-Gutachten-Webhooks/1.0',
+                'X-DS-Event': event.type,
+                'X-DS-Delivery': event.id,
+                'X-DS-Timestamp': timestamp,
+                'X-DS-Signature': `sha256=${sign(endpoint.secret, timestamp, body)}`,
+            },
+            body,
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook ${url} responded with ${response.status}`);
+        }
+
+        return { status: response.status, deliveredAt: new Date().toISOString() };
+    }
+}
+
+WebhookDispatcher.JOB_TYPE = JOB_TYPE;
+WebhookDispatcher.EVENTS = WEBHOOK_EVENTS;
+WebhookDispatcher.parseEndpoints = parseEndpoints;
+WebhookDispatcher.sign = sign;
+
+module.exports = WebhookDispatcher;
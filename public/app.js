@@ -1,32 +1,19 @@
 // DS Gutachten Formular - Client-side JavaScript
 // Modern ES6+ implementation with signature canvas and form handling
 
-class DSGutachtenForm {
-    constructor() {
-        this.form = document.getElementById('gutachtenForm');
-        this.canvas = document.getElementById('signatureCanvas');
+// Drawing surface for one signature (Auftrag and Abtretungserklärung each have their own)
+class SignaturePad {
+    constructor(canvas) {
+        this.canvas = canvas;
         this.ctx = null;
         this.isDrawing = false;
-        this.signatureData = '';
-        
-        this.initializeForm();
-        this.initializeSignature();
-        this.setupEventListeners();
-    }
+        this.data = '';
 
-    initializeForm() {
-        // Auto-generate Gutachten number
-        const today = new Date();
-        const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
-        const timeStr = today.getHours().toString().padStart(2, '0') + 
-                       today.getMinutes().toString().padStart(2, '0');
-        document.getElementById('gutachten_nr').value = `DS${dateStr}${timeStr}`;
-
-        // Set default date to today
-        document.getElementById('unfalltag').value = today.toISOString().slice(0, 10);
+        this.initialize();
+        this.setupEventListeners();
     }
 
-    initializeSignature() {
+    initialize() {
         if (!this.canvas) {
             console.error('Signature canvas not found');
             return;
@@ -40,7 +27,7 @@ class DSGutachtenForm {
         }
 
         // Use the width and height attributes from HTML
-        // Canvas already has width="400" height="100" in HTML
+        // Canvas already has width="400" height="150" in HTML
         this.ctx.lineCap = 'round';
         this.ctx.lineJoin = 'round';
         this.ctx.strokeStyle = '#000';
@@ -49,46 +36,31 @@ class DSGutachtenForm {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        console.log('Signature canvas initialized successfully');
+        console.log(`Signature canvas ${this.canvas.id} initialized successfully`);
     }
 
     setupEventListeners() {
-        // Form submission
-        if (this.form) {
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        }
-
-        // Signature canvas events
-        if (this.canvas) {
-            // Mouse events
-            this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-            this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-            this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-            this.canvas.addEventListener('mouseout', () => this.stopDrawing());
-
-            // Touch events for mobile
-            this.canvas.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.startDrawing(e.touches[0]);
-            });
-            this.canvas.addEventListener('touchmove', (e) => {
-                e.preventDefault();
-                this.draw(e.touches[0]);
-            });
-            this.canvas.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.stopDrawing();
-            });
-        }
-
-        // Clear signature button
-        const clearBtn = document.getElementById('clearSignature');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => this.clearSignature());
-        }
-
-        // Form validation on input change
-        this.setupFormValidation();
+        if (!this.canvas) return;
+
+        // Mouse events
+        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
+        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
+        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
+        this.canvas.addEventListener('mouseout', () => this.stopDrawing());
+
+        // Touch events for mobile
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            this.startDrawing(e.touches[0]);
+        });
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            this.draw(e.touches[0]);
+        });
+        this.canvas.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            this.stopDrawing();
+        });
     }
 
     getEventPos(e) {
@@ -100,7 +72,6 @@ class DSGutachtenForm {
     }
 
     startDrawing(e) {
-        console.log('Start drawing');
         this.isDrawing = true;
         const pos = this.getEventPos(e);
         this.ctx.beginPath();
@@ -109,7 +80,7 @@ class DSGutachtenForm {
 
     draw(e) {
         if (!this.isDrawing) return;
-        
+
         const pos = this.getEventPos(e);
         this.ctx.lineTo(pos.x, pos.y);
         this.ctx.stroke();
@@ -120,48 +91,273 @@ class DSGutachtenForm {
     stopDrawing() {
         if (!this.isDrawing) return;
         this.isDrawing = false;
-        this.signatureData = this.canvas.toDataURL();
+        this.data = this.canvas.toDataURL();
     }
 
-    clearSignature() {
+    clear() {
         if (this.ctx && this.canvas) {
             this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.signatureData = '';
-            console.log('Signature cleared');
-        }
-    }
-
-    setupFormValidation() {
-        const requiredFields = [
-            'auftraggeber_name',
-            'auftraggeber_strasse',
-            'auftraggeber_plz',
-            'auftraggeber_ort',
-            'auftraggeber_email',
-            'auftraggeber_telefon',
-            'kennzeichen',
-            'unfalltag',
-            'unfallort'
-        ];
-
-        requiredFields.forEach(fieldId => {
-            const field = document.getElementById(fieldId);
-            if (field) {
-                field.addEventListener('blur', () => this.validateField(field));
-                field.addEventListener('input', () => this.clearFieldError(field));
+            this.data = '';
+            console.log(`Signature ${this.canvas.id} cleared`);
+        }
+    }
+
+    // Draws a stored signature (e.g. from a draft) back onto the canvas
+    load(dataUrl) {
+        if (!this.ctx) return;
+
+        const image = new Image();
+        image.onload = () => {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+            this.data = dataUrl;
+        };
+        image.src = dataUrl;
+    }
+}
+
+class DSGutachtenForm {
+    constructor() {
+        this.form = document.getElementById('gutachten-form');
+        this.signaturePad = new SignaturePad(document.getElementById('signatureCanvas'));
+        this.abtretungPad = new SignaturePad(document.getElementById('abtretungSignatureCanvas'));
+        this.lastSubmission = null;
+        this.idempotencyKey = null;
+        this.draftToken = null;
+        this.schemaFields = null;
+        this.schemaRules = [];
+        this.confirmedWarnings = null;
+        this.abtretungTemplate = null;
+        this.privacyNotice = null;
+
+        this.initializeForm();
+        this.setupEventListeners();
+        this.restoreDraftFromUrl();
+    }
+
+    initializeForm() {
+        // Auto-generate Gutachten number
+        const today = new Date();
+        const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+        const timeStr = today.getHours().toString().padStart(2, '0') +
+                       today.getMinutes().toString().padStart(2, '0');
+        document.getElementById('gutachten-nr').value = `DS${dateStr}${timeStr}`;
+
+        // Set default date to today
+        document.getElementById('unfalltag').value = today.toISOString().slice(0, 10);
+    }
+
+    // Called again on resize, see the listener at the end of this file
+    initializeSignature() {
+        this.signaturePad.initialize();
+        this.abtretungPad.initialize();
+    }
+
+    setupEventListeners() {
+        // Form submission
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        }
+
+        // Clear signature buttons
+        const clearBtn = document.getElementById('clearSignature');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.signaturePad.clear());
+        }
+        const clearAbtretungBtn = document.getElementById('clearAbtretungSignature');
+        if (clearAbtretungBtn) {
+            clearAbtretungBtn.addEventListener('click', () => this.abtretungPad.clear());
+        }
+
+        // Save draft button
+        const draftBtn = document.getElementById('save-draft-btn');
+        if (draftBtn) {
+            draftBtn.addEventListener('click', () => this.saveDraft());
+        }
+
+        // Form validation on input change
+        this.setupFormValidation();
+
+        // Abtretungserklärung text and signature, shown with "Abtretung" checked
+        this.setupAbtretung();
+
+        // Current Datenschutzhinweis, its version is sent with the consent
+        this.loadPrivacyNotice();
+    }
+
+    async setupFormValidation() {
+        // Required fields and limits are defined once on the server (GET /api/form-schema)
+        try {
+            const response = await fetch('/api/form-schema');
+            const result = await response.json();
+            this.schemaFields = result.data.sections.flatMap(section => section.fields);
+            this.schemaRules = result.data.sections.flatMap(section => section.requireOneOf || []);
+        } catch (error) {
+            console.warn('Could not load form schema, falling back to HTML attributes:', error);
+            return;
+        }
+
+        this.schemaFields.forEach(schemaField => {
+            const field = this.form.elements[schemaField.name];
+            // Radio groups are validated on the server only
+            if (!field || !field.tagName) return;
+
+            field.required = !!schemaField.required;
+            if (schemaField.maxLength) {
+                field.maxLength = schemaField.maxLength;
+            }
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => this.clearFieldError(field));
+
+            if (schemaField.type === 'plz' && schemaField.ortField) {
+                const ortSchemaField = this.schemaFields.find(candidate => candidate.key === schemaField.ortField);
+                const ortField = ortSchemaField && this.form.elements[ortSchemaField.name];
+                if (ortField) {
+                    field.addEventListener('blur', () => this.checkPlz(field, ortField));
+                    ortField.addEventListener('blur', () => this.checkPlz(field, ortField));
+                }
+            }
+
+            if (schemaField.type === 'vin') {
+                field.addEventListener('blur', () => this.checkVin(field));
+                field.addEventListener('input', () => this.clearFieldHint(field));
             }
         });
     }
 
-    validateField(field) {
+    // Fills in the Ort for a known PLZ and flags an Ort that does not belong to it
+    async checkPlz(plzField, ortField) {
+        const plz = plzField.value.trim();
+        this.clearFieldHint(ortField);
+        if (!/^\d{5}$/.test(plz)) return;
+
+        try {
+            const response = await fetch(`/api/plz/${plz}?ort=${encodeURIComponent(ortField.value.trim())}`);
+            const result = await response.json();
+            if (!response.ok || !result.data.known) return;
+
+            const { orte, matches } = result.data;
+            if (!ortField.value.trim() && orte.length === 1) {
+                ortField.value = orte[0];
+                this.clearFieldError(ortField);
+            } else if (!matches) {
+                this.showFieldHint(ortField, `Hinweis: PLZ ${plz} gehört zu ${orte.join(' / ')}`);
+            }
+        } catch (error) {
+            console.warn('PLZ check failed:', error);
+        }
+    }
+
+    // Warns about malformed VINs and shows the decoded manufacturer and model year
+    async checkVin(field) {
         const value = field.value.trim();
-        const fieldContainer = field.closest('.mb-4');
+        this.clearFieldHint(field);
+        if (!value) return;
+
+        try {
+            const response = await fetch(`/api/vin/${encodeURIComponent(value)}`);
+            const result = await response.json();
+            const decoded = result.data;
+
+            if (!decoded.valid) {
+                this.showFieldError(field, decoded.error);
+            } else if (decoded.manufacturer || decoded.modelYear) {
+                const details = [decoded.manufacturer, decoded.modelYear && `Modelljahr ${decoded.modelYear}`];
+                this.showFieldHint(field, details.filter(Boolean).join(', '));
+            }
+        } catch (error) {
+            console.warn('VIN check failed:', error);
+        }
+    }
+
+    getSchemaField(name) {
+        return (this.schemaFields || []).find(schemaField => schemaField.name === name) || null;
+    }
+
+    getSchemaFieldByKey(key) {
+        return (this.schemaFields || []).find(schemaField => schemaField.key === key) || null;
+    }
+
+    isAbtretungChecked() {
+        const checkbox = this.form.elements.abtretung;
+        return !!(checkbox && checkbox.checked);
+    }
+
+    async setupAbtretung() {
+        const checkbox = this.form.elements.abtretung;
+        if (!checkbox) return;
+
+        checkbox.addEventListener('change', () => this.updateAbtretung());
+        // The text names the insurer, Schadennummer etc., so it follows the form
+        this.form.addEventListener('input', () => this.updateAbtretung());
+
+        try {
+            const response = await fetch('/api/abtretung');
+            const result = await response.json();
+            this.abtretungTemplate = result.data.template;
+        } catch (error) {
+            console.warn('Could not load Abtretung template:', error);
+        }
+        this.updateAbtretung();
+    }
+
+    async loadPrivacyNotice() {
+        try {
+            const response = await fetch('/api/datenschutz');
+            const result = await response.json();
+            this.privacyNotice = result.data;
+        } catch (error) {
+            console.warn('Could not load Datenschutzhinweis:', error);
+            return;
+        }
+
+        const link = document.getElementById('datenschutz-link');
+        if (link) {
+            link.href = this.privacyNotice.url;
+            document.getElementById('datenschutz-version').textContent = ` (${this.privacyNotice.version})`;
+        }
+    }
+
+    // Shows the Abtretungserklärung with the current form values, as it will be printed
+    updateAbtretung() {
+        const section = document.getElementById('abtretung-section');
+        if (!section) return;
+
+        const checked = this.isAbtretungChecked();
+        section.classList.toggle('hidden', !checked);
+        if (!checked || !this.abtretungTemplate) return;
+
+        const text = this.abtretungTemplate.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+            const schemaField = this.getSchemaFieldByKey(key);
+            const field = schemaField && this.form.elements[schemaField.name];
+            const value = field && field.value ? field.value.trim() : '';
+            if (!value) return '…';
+            return schemaField.type === 'date' ? value.split('-').reverse().join('.') : value;
+        });
+
+        const container = document.getElementById('abtretung-text');
+        container.replaceChildren(...text.split(/\n\s*\n/).map(paragraph => {
+            const element = document.createElement('p');
+            element.textContent = paragraph.replace(/\s*\n\s*/g, ' ').trim();
+            return element;
+        }));
+    }
+
+    validateField(field) {
+        // An unticked checkbox still has the value "on"
+        const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
         
         if (!value && field.hasAttribute('required')) {
             this.showFieldError(field, 'Dieses Feld ist erforderlich');
             return false;
         }
 
+        const schemaField = this.getSchemaField(field.name);
+        if (schemaField && schemaField.maxLength && value.length > schemaField.maxLength) {
+            this.showFieldError(field, `Maximal ${schemaField.maxLength} Zeichen erlaubt`);
+            return false;
+        }
+
         // Email validation
         if (field.type === 'email' && value) {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -172,7 +368,7 @@ class DSGutachtenForm {
         }
 
         // Phone validation
-        if (field.id === 'auftraggeber_telefon' && value) {
+        if (field.type === 'tel' && value) {
             const phoneRegex = /^[\d\s\-\+\(\)\/]+$/;
             if (!phoneRegex.test(value) || value.length < 6) {
                 this.showFieldError(field, 'Bitte geben Sie eine gültige Telefonnummer ein');
@@ -196,6 +392,24 @@ class DSGutachtenForm {
         field.parentNode.appendChild(errorDiv);
     }
 
+    showFieldHint(field, message) {
+        this.clearFieldHint(field);
+
+        const hintDiv = document.createElement('div');
+        hintDiv.className = 'text-gray-600 text-sm mt-1';
+        hintDiv.textContent = message;
+        hintDiv.setAttribute('data-hint', 'true');
+
+        field.parentNode.appendChild(hintDiv);
+    }
+
+    clearFieldHint(field) {
+        const hintDiv = field.parentNode.querySelector('[data-hint="true"]');
+        if (hintDiv) {
+            hintDiv.remove();
+        }
+    }
+
     clearFieldError(field) {
         field.classList.remove('border-red-500', 'bg-red-50');
         const errorDiv = field.parentNode.querySelector('[data-error="true"]');
@@ -214,23 +428,98 @@ class DSGutachtenForm {
             }
         });
 
-        // Validate signature
-        if (!this.signatureData) {
-            const signatureContainer = document.getElementById('signatureCanvas').closest('.mb-6');
-            const existingError = signatureContainer.querySelector('[data-error="true"]');
-            if (!existingError) {
-                const errorDiv = document.createElement('div');
-                errorDiv.className = 'text-red-600 text-sm mt-2';
-                errorDiv.textContent = 'Unterschrift ist erforderlich';
-                errorDiv.setAttribute('data-error', 'true');
-                signatureContainer.appendChild(errorDiv);
+        // Groups where one of several fields is enough (e.g. E-Mail or Telefon)
+        this.schemaRules.forEach(rule => {
+            const fields = rule.fields
+                .map(key => this.schemaFields.find(schemaField => schemaField.key === key))
+                .map(schemaField => schemaField && this.form.elements[schemaField.name])
+                .filter(Boolean);
+
+            if (fields.length > 0 && fields.every(field => !field.value.trim())) {
+                this.showFieldError(fields[0], rule.message);
+                isValid = false;
             }
+        });
+
+        // Fields only required with a ticked checkbox (e.g. the insurer for the Abtretung)
+        (this.schemaFields || [])
+            .filter(schemaField => schemaField.requiredIf)
+            .forEach(schemaField => {
+                const field = this.form.elements[schemaField.name];
+                const condition = this.getSchemaFieldByKey(schemaField.requiredIf.field);
+                const checkbox = condition && this.form.elements[condition.name];
+                if (field && checkbox && checkbox.checked && !field.value.trim()) {
+                    this.showFieldError(field, schemaField.requiredIf.message);
+                    isValid = false;
+                }
+            });
+
+        // Validate signature
+        if (!this.signaturePad.data) {
+            this.showSignatureError('Unterschrift ist erforderlich');
+            isValid = false;
+        }
+
+        if (this.isAbtretungChecked() && !this.abtretungPad.data) {
+            this.showSignatureError('Unterschrift für die Abtretungserklärung ist erforderlich', this.abtretungPad);
             isValid = false;
         }
 
         return isValid;
     }
 
+    showSignatureError(message, pad = this.signaturePad) {
+        const signatureContainer = pad.canvas.closest('.mb-6');
+        const existingError = signatureContainer.querySelector('[data-error="true"]');
+        if (existingError) {
+            existingError.remove();
+        }
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'text-red-600 text-sm mt-2';
+        errorDiv.textContent = message;
+        errorDiv.setAttribute('data-error', 'true');
+        signatureContainer.appendChild(errorDiv);
+    }
+
+    // Marks every input from a 422 response; returns the messages that belong to no input
+    showServerErrors(errors) {
+        const unmatched = [];
+
+        errors.forEach(error => {
+            if (error.field === 'signature') {
+                this.showSignatureError(error.message);
+                return;
+            }
+            if (error.field === 'abtretung_signature') {
+                this.showSignatureError(error.message, this.abtretungPad);
+                return;
+            }
+            // The Datenschutzhinweis changed since the page was loaded: show the new one and ask again
+            if (error.code === 'consent_outdated') {
+                this.form.elements.datenschutz.checked = false;
+                this.loadPrivacyNotice();
+            }
+
+            // Radio groups come back as a RadioNodeList, the error goes below the first option
+            const element = this.form.elements[error.field];
+            const field = element instanceof RadioNodeList ? element[0] : element;
+            if (field) {
+                this.showFieldError(field, error.message);
+            } else {
+                unmatched.push(error.message);
+            }
+        });
+
+        const firstError = this.form.querySelector('.border-red-500');
+        if (firstError) {
+            firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            firstError.focus({ preventScroll: true });
+        }
+
+        return unmatched;
+    }
+
     async handleSubmit(e) {
         e.preventDefault();
         
@@ -253,11 +542,26 @@ class DSGutachtenForm {
 
         try {
             const formData = this.collectFormData();
+
+            // Same key for every retry of this form, so the server runs it only once
+            if (!this.idempotencyKey) {
+                this.idempotencyKey = this.generateIdempotencyKey();
+            }
+
+            // Plausibility warnings are shown once, submitting again sends the form anyway
+            const warnings = await this.fetchPlausibilityWarnings(formData);
+            const warningKey = warnings.map(warning => warning.code).join(',');
+            if (warnings.length > 0 && warningKey !== this.confirmedWarnings) {
+                this.confirmedWarnings = warningKey;
+                this.showPlausibilityWarnings(warnings);
+                return;
+            }
             
             const response = await fetch('/api/submit-gutachten', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Idempotency-Key': this.idempotencyKey,
                 },
                 body: JSON.stringify(formData)
             });
@@ -265,8 +569,13 @@ class DSGutachtenForm {
             const result = await response.json();
 
             if (response.ok) {
-                this.showMessage('Gutachten erfolgreich übermittelt!', 'success');
+                // Keep the reference so the status can be checked later via /api/submissions/:id
+                this.rememberSubmission(result.data);
+                this.showMessage(`Gutachten erfolgreich übermittelt! (Gutachten-Nr. ${result.data.gutachten_nr})`, 'success');
                 this.resetForm();
+            } else if (Array.isArray(result.errors) && result.errors.length > 0) {
+                const unmatched = this.showServerErrors(result.errors);
+                this.showMessage(unmatched.length > 0 ? unmatched.join(' · ') : 'Bitte überprüfen Sie Ihre Eingaben', 'error');
             } else {
                 throw new Error(result.message || 'Ein Fehler ist aufgetreten');
             }
@@ -280,6 +589,155 @@ class DSGutachtenForm {
         }
     }
 
+    // Warnings from the server's plausibility rules; errors are reported by the submission itself
+    async fetchPlausibilityWarnings(formData) {
+        const { signature, abtretung_signature, draftToken, ...fields } = formData;
+
+        try {
+            const response = await fetch('/api/plausibility', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(fields)
+            });
+            const result = await response.json();
+            return response.ok ? result.data.warnings : [];
+        } catch (error) {
+            console.warn('Plausibility check failed:', error);
+            return [];
+        }
+    }
+
+    showPlausibilityWarnings(warnings) {
+        const statusDiv = document.getElementById('status-message');
+        if (!statusDiv) return;
+
+        statusDiv.className = 'mt-6 p-4 rounded-md bg-yellow-50 border border-yellow-400 text-sm text-gray-700';
+        statusDiv.textContent = 'Bitte prüfen Sie diese Angaben. Sind sie richtig, klicken Sie erneut auf „Gutachten beauftragen".';
+
+        const list = document.createElement('ul');
+        list.className = 'list-disc ml-5 mt-2';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning.message;
+            list.appendChild(item);
+
+            const schemaField = (this.schemaFields || []).find(candidate => candidate.key === warning.field);
+            const field = schemaField && this.form.querySelector(`[name="${schemaField.name}"]`);
+            if (field) {
+                this.showFieldHint(field, warning.message);
+            }
+        });
+        statusDiv.appendChild(list);
+
+        statusDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.showMessage('Bitte prüfen Sie die Hinweise vor dem Absenden');
+    }
+
+    async saveDraft() {
+        try {
+            const url = this.draftToken ? `/api/drafts/${encodeURIComponent(this.draftToken)}` : '/api/drafts';
+            const response = await fetch(url, {
+                method: this.draftToken ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(this.collectFormData())
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Entwurf konnte nicht gespeichert werden');
+            }
+
+            this.draftToken = result.data.token;
+            this.showDraftLink(`${window.location.origin}${result.data.resumeUrl}`, result.data.expiresAt);
+            this.showMessage('Entwurf gespeichert', 'success');
+        } catch (error) {
+            console.error('Draft error:', error);
+            this.showMessage(error.message || 'Entwurf konnte nicht gespeichert werden', 'error');
+        }
+    }
+
+    showDraftLink(resumeUrl, expiresAt) {
+        const statusDiv = document.getElementById('status-message');
+        if (!statusDiv) return;
+
+        statusDiv.className = 'mt-6 p-4 rounded-md bg-blue-50 border border-ds-blue text-sm text-gray-700';
+        statusDiv.textContent = `Mit diesem Link können Sie das Formular bis ${new Date(expiresAt).toLocaleDateString('de-DE')} weiter ausfüllen: `;
+
+        const link = document.createElement('a');
+        link.href = resumeUrl;
+        link.textContent = resumeUrl;
+        link.className = 'text-ds-blue underline break-all';
+        statusDiv.appendChild(link);
+    }
+
+    async restoreDraftFromUrl() {
+        const token = new URLSearchParams(window.location.search).get('draft');
+        if (!token) return;
+
+        try {
+            const response = await fetch(`/api/drafts/${encodeURIComponent(token)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Entwurf nicht gefunden');
+            }
+
+            this.draftToken = token;
+            this.applyDraftData(result.data.data);
+            this.showMessage('Entwurf wiederhergestellt', 'success');
+        } catch (error) {
+            console.error('Draft restore error:', error);
+            this.showMessage(error.message || 'Entwurf konnte nicht geladen werden', 'error');
+        }
+    }
+
+    applyDraftData(data) {
+        Object.entries(data).forEach(([name, value]) => {
+            const field = this.form.elements[name];
+            if (!field) return;
+
+            if (field.type === 'checkbox') {
+                field.checked = !!value;
+            } else {
+                // Also covers radio groups (RadioNodeList)
+                field.value = value;
+            }
+        });
+
+        if (data.signature) {
+            this.signaturePad.load(data.signature);
+        }
+        if (data.abtretung_signature) {
+            this.abtretungPad.load(data.abtretung_signature);
+        }
+        this.updateAbtretung();
+    }
+
+    generateIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    // Reference the customer can quote to the office; the status itself is looked up by staff
+    rememberSubmission(data) {
+        this.lastSubmission = {
+            id: data.submission_id,
+            gutachten_nr: data.gutachten_nr,
+            timestamp: data.timestamp,
+        };
+
+        try {
+            localStorage.setItem('ds-last-submission', JSON.stringify(this.lastSubmission));
+        } catch (error) {
+            console.warn('Could not store submission reference:', error);
+        }
+    }
+
     collectFormData() {
         const formData = new FormData(this.form);
         const data = {};
@@ -289,8 +747,21 @@ class DSGutachtenForm {
             data[key] = value;
         }
 
-        // Add signature data
-        data.signature = this.signatureData;
+        // Add signature data, the Abtretungserklärung is only signed with "Abtretung" checked
+        data.signature = this.signaturePad.data;
+        if (this.isAbtretungChecked()) {
+            data.abtretung_signature = this.abtretungPad.data;
+        }
+
+        // The consent refers to the Datenschutzhinweis shown in the form
+        if (this.privacyNotice) {
+            data.datenschutz_version = this.privacyNotice.version;
+        }
+
+        // Submitting a resumed draft turns it into the submission
+        if (this.draftToken) {
+            data.draftToken = this.draftToken;
+        }
         
         // Add timestamp
         data.submitted_at = new Date().toISOString();
@@ -321,8 +792,21 @@ class DSGutachtenForm {
 
     resetForm() {
         this.form.reset();
-        this.clearSignature();
+        this.idempotencyKey = null;
+        this.draftToken = null;
+        this.confirmedWarnings = null;
+        this.signaturePad.clear();
+        this.abtretungPad.clear();
+
+        // The draft is used up, drop the resume link
+        window.history.replaceState(null, '', window.location.pathname);
+        const statusDiv = document.getElementById('status-message');
+        if (statusDiv) {
+            statusDiv.className = 'hidden mt-6 p-4 rounded-md';
+            statusDiv.textContent = '';
+        }
         this.initializeForm();
+        this.updateAbtretung();
         
         // Clear any error states
         const errorFields = document.querySelectorAll('.border-red-500');
@@ -333,6 +817,9 @@ class DSGutachtenForm {
         // Remove signature error if exists
         const signatureErrors = document.querySelectorAll('[data-error="true"]');
         signatureErrors.forEach(error => error.remove());
+
+        // Remove VIN and PLZ hints
+        document.querySelectorAll('[data-hint="true"]').forEach(hint => hint.remove());
     }
 }
 
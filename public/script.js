@@ -159,7 +159,23 @@ class GutachtenForm {
         });
     }
     
-    setupFormValidation() {
+    async setupFormValidation() {
+        // Required fields come from the shared schema (GET /api/form-schema)
+        try {
+            const response = await fetch('/api/form-schema');
+            const result = await response.json();
+            result.data.sections
+                .flatMap(section => section.fields)
+                .forEach(schemaField => {
+                    const field = this.form.elements[schemaField.name];
+                    if (field && field.tagName) {
+                        field.required = !!schemaField.required;
+                    }
+                });
+        } catch (error) {
+            console.warn('Could not load form schema:', error);
+        }
+
         // Add real-time validation
         const requiredFields = this.form.querySelectorAll('input[required]');
         requiredFields.forEach(field => {
@@ -0,0 +1,141 @@
+// DS Gutachten Formular - Field mapping check
+// Fails when a field in public/index.html is missing from lib/form-schema.js, or when a field is not
+// used by the PDF, Google Drive or Notion exactly as its usedBy list says. Run with `npm run check-fields`.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const formSchema = require('../lib/form-schema');
+
+// Keep submissions, drafts and the audit log of the check away from the real storage
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ds-check-fields-'));
+process.env.STORAGE_DIR = storageDir;
+process.env.LOCAL_FILES_DIR = path.join(storageDir, 'files');
+
+const DSGutachtenServer = require('../server');
+
+// A valid value per field type, so normalization and the outputs treat the field like real input
+function sampleValue(field) {
+    switch (field.type) {
+        case 'checkbox':
+            return 'on';
+        case 'radio':
+            return field.options[field.options.length - 1];
+        case 'date':
+            return '2026-10-01';
+        case 'time':
+            return '14:30';
+        case 'email':
+            return `${field.key.toLowerCase()}@example.de`;
+        case 'phone':
+            return '0151 1234567';
+        case 'plz':
+            return '33609';
+        case 'kennzeichen':
+            return field.section === 'gegner' ? 'HF-CD 456' : 'BI-AB 123';
+        case 'vin':
+            return 'WVWZZZAUZKW123456';
+        default:
+            return `Beispiel ${field.key}`;
+    }
+}
+
+// Text written into the PDF, recorded while generatePDFFile runs
+let pdfText = null;
+const originalText = PDFDocument.prototype.text;
+PDFDocument.prototype.text = function (text, ...args) {
+    if (pdfText) {
+        pdfText.push(String(text));
+    }
+    return originalText.call(this, text, ...args);
+};
+
+async function renderOutputs(server, body) {
+    const formData = server.normalizeFormData(body);
+
+    pdfText = [];
+    const pdfFilePath = await server.generatePDFFile(formData);
+    fs.unlinkSync(pdfFilePath);
+    const pdf = pdfText.join('\n');
+    pdfText = null;
+
+    return {
+        pdf,
+        drive: JSON.stringify(server.buildDriveLocation(formData)),
+        notion: JSON.stringify([
+            server.buildKontakteProperties(formData),
+            server.buildGutachtenResourceProperties(formData, 'https://drive.google.com/file/d/CHECK/view', 'CHECK'),
+            server.buildGutachtenResourceChildren(formData, 'https://drive.google.com/file/d/CHECK-ABTRETUNG/view'),
+        ]),
+    };
+}
+
+function readHtmlFieldNames() {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+    const names = [...html.matchAll(/<(?:input|select|textarea)\b[^>]*\bname="([^"]+)"/g)].map(match => match[1]);
+    return new Set(names);
+}
+
+async function main() {
+    const problems = [];
+    const fields = formSchema.allFields();
+    const htmlNames = readHtmlFieldNames();
+
+    htmlNames.forEach(name => {
+        if (!fields.some(field => field.name === name)) {
+            problems.push(`index.html: "${name}" is not mapped in lib/form-schema.js`);
+        }
+    });
+    fields
+        .filter(field => !htmlNames.has(field.name))
+        .forEach(field => problems.push(`${field.key}: "${field.name}" does not exist in index.html`));
+
+    const server = new DSGutachtenServer();
+    const body = Object.fromEntries(fields.map(field => [field.name, sampleValue(field)]));
+    const complete = await renderOutputs(server, body);
+
+    // A field is used by an output when leaving it empty changes that output
+    for (const field of fields) {
+        const usedBy = field.usedBy || [];
+        if (usedBy.length === 0) {
+            problems.push(`${field.key}: not used downstream (usedBy is empty)`);
+        }
+        usedBy
+            .filter(consumer => !formSchema.CONSUMERS.includes(consumer))
+            .forEach(consumer => problems.push(`${field.key}: unknown output "${consumer}"`));
+
+        const { [field.name]: omitted, ...rest } = body;
+        const without = await renderOutputs(server, rest);
+
+        formSchema.CONSUMERS.forEach(consumer => {
+            const used = without[consumer] !== complete[consumer];
+            if (usedBy.includes(consumer) && !used) {
+                problems.push(`${field.key}: declared for ${consumer}, but ${consumer} does not use it`);
+            } else if (!usedBy.includes(consumer) && used) {
+                problems.push(`${field.key}: used by ${consumer}, but missing in usedBy`);
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        console.error(`❌ Field mapping check failed (${problems.length}):`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        return false;
+    }
+
+    console.log(`✅ All ${fields.length} form fields are mapped and used downstream`);
+    return true;
+}
+
+main()
+    .then(ok => {
+        process.exitCode = ok ? 0 : 1;
+    })
+    .catch(error => {
+        console.error('❌ Field mapping check could not run:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    });
@@ -0,0 +1,71 @@
+// DS Gutachten Formular - Kennzeichen parser check
+// Runs lib/kennzeichen.js against plates with a known outcome: spellings, special and red series,
+// reintroduced Unterscheidungszeichen and inputs that must be rejected. Run with `npm run check-kennzeichen`.
+
+const kennzeichen = require('../lib/kennzeichen');
+
+// [input, canonical form] for valid plates
+const VALID = [
+    ['bi ab123', 'BI-AB 123'],
+    ['BI AB 123', 'BI-AB 123'],
+    ['BI-AB 123 H', 'BI-AB 123H'],
+    ['BI AB 12 04/10', 'BI-AB 12'],
+    ['Y-123 456', 'Y-123456'],
+    ['ÖHR-AB 12', 'ÖHR-AB 12'],
+    ['SLG-X 1', 'SLG-X 1'],
+    ['WG-A 1', 'WG-A 1'],
+    ['HÜN-A 1', 'HÜN-A 1'],
+    ['BI-06123', 'BI-06123'],
+    ['bi 07 12', 'BI-0712'],
+];
+
+// [input, part of the expected error message]
+const INVALID = [
+    ['', 'Kein Kennzeichen'],
+    ['QQ-AB 1', 'Unbekanntes Unterscheidungszeichen'],
+    ['BI-AB 0123', 'nicht mit 0 beginnen'],
+    ['BI-05123', 'nicht mit 0 beginnen'],
+    ['BI-06123H', 'Rote Kennzeichen'],
+    ['BI-SS 1', 'wird nicht vergeben'],
+    ['BI-AB 12345', 'Höchstens vier Ziffern'],
+    ['BAB123', 'nicht eindeutig'],
+    ['BI-AB 1 04/04', 'Saisonkennzeichen'],
+];
+
+function main() {
+    const problems = [];
+
+    VALID.forEach(([input, canonical]) => {
+        const plate = kennzeichen.parse(input);
+        if (!plate.valid) {
+            problems.push(`"${input}": rejected (${plate.error}), expected ${canonical}`);
+        } else if (plate.canonical !== canonical) {
+            problems.push(`"${input}": parsed as ${plate.canonical}, expected ${canonical}`);
+        }
+    });
+
+    INVALID.forEach(([input, message]) => {
+        const plate = kennzeichen.parse(input);
+        if (plate.valid) {
+            problems.push(`"${input}": accepted as ${plate.canonical}, expected an error`);
+        } else if (!plate.error.includes(message)) {
+            problems.push(`"${input}": error "${plate.error}", expected "${message}"`);
+        }
+    });
+
+    const red = kennzeichen.parse('BI-06123');
+    if (!red.red || red.special) {
+        problems.push('"BI-06123": not marked as red plate');
+    }
+
+    if (problems.length > 0) {
+        console.error(`❌ Kennzeichen check failed (${problems.length}):`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        return false;
+    }
+
+    console.log(`✅ All ${VALID.length + INVALID.length} Kennzeichen cases parse as expected`);
+    return true;
+}
+
+process.exitCode = main() ? 0 : 1;
@@ -0,0 +1,220 @@
+// DS Gutachten Formular - PNG decoder/encoder check
+// Builds small PNGs with every filter type and color type, round-trips them through lib/png.js and
+// feeds it truncated and corrupt files, which must be rejected. Run with `npm run check-png`.
+
+const zlib = require('zlib');
+const png = require('../lib/png');
+
+const WIDTH = 16;
+const HEIGHT = 16;
+
+// Deterministic pixel values, so a failure can be reproduced
+function pseudoRandomBytes(length, seed) {
+    const bytes = Buffer.alloc(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        bytes[i] = state >>> 24;
+    }
+    return bytes;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// The encoder side of the PNG filters, which lib/png.js never writes (it only uses type 0)
+function filterRows(samples, width, height, channels, filterType) {
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = filterType;
+        for (let x = 0; x < stride; x++) {
+            const value = samples[y * stride + x];
+            const left = x >= channels ? samples[y * stride + x - channels] : 0;
+            const up = y > 0 ? samples[(y - 1) * stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? samples[(y - 1) * stride + x - channels] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filterType];
+            raw[y * (stride + 1) + 1 + x] = (value - predictor) & 0xff;
+        }
+    }
+    return raw;
+}
+
+function chunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(png.crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+function buildPng({ width = WIDTH, height = HEIGHT, colorType, bitDepth = 8, interlace = 0, raw, extraChunks = [] }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    header[12] = interlace;
+
+    return Buffer.concat([
+        png.PNG_SIGNATURE,
+        chunk('IHDR', header),
+        ...extraChunks,
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// Expected RGBA for the samples of one color type
+const COLOR_TYPES = [
+    { name: 'grayscale', colorType: 0, channels: 1, toRgba: ([v]) => [v, v, v, 255] },
+    { name: 'RGB', colorType: 2, channels: 3, toRgba: ([r, g, b]) => [r, g, b, 255] },
+    { name: 'grayscale + alpha', colorType: 4, channels: 2, toRgba: ([v, a]) => [v, v, v, a] },
+    { name: 'RGBA', colorType: 6, channels: 4, toRgba: sample => sample },
+];
+
+function expectedRgba(samples, channels, toRgba) {
+    const rgba = [];
+    for (let i = 0; i < samples.length; i += channels) {
+        rgba.push(...toRgba([...samples.subarray(i, i + channels)]));
+    }
+    return Buffer.from(rgba);
+}
+
+function main() {
+    const problems = [];
+    let cases = 0;
+
+    const check = (name, test) => {
+        cases += 1;
+        try {
+            const problem = test();
+            if (problem) {
+                problems.push(`${name}: ${problem}`);
+            }
+        } catch (error) {
+            problems.push(`${name}: ${error.message}`);
+        }
+    };
+
+    // Must throw an error whose message contains the given text
+    const rejects = (name, buffer, message, options) => check(name, () => {
+        try {
+            png.decode(buffer, options);
+        } catch (error) {
+            return error.message.includes(message) ? null : `error "${error.message}", expected "${message}"`;
+        }
+        return 'decoded, expected an error';
+    });
+
+    // Every color type with every filter type
+    COLOR_TYPES.forEach(({ name, colorType, channels, toRgba }) => {
+        const samples = pseudoRandomBytes(WIDTH * HEIGHT * channels, colorType + 1);
+        const expected = expectedRgba(samples, channels, toRgba);
+
+        [0, 1, 2, 3, 4].forEach(filterType => check(`${name}, filter ${filterType}`, () => {
+            const image = png.decode(buildPng({ colorType, raw: filterRows(samples, WIDTH, HEIGHT, channels, filterType) }));
+            if (image.width !== WIDTH || image.height !== HEIGHT) {
+                return `size ${image.width}×${image.height}`;
+            }
+            return image.pixels.equals(expected) ? null : 'pixels differ';
+        }));
+    });
+
+    // Rows with different filters in the same image
+    check('mixed filters per row', () => {
+        const samples = pseudoRandomBytes(WIDTH * HEIGHT * 4, 42);
+        const filtered = [0, 1, 2, 3, 4].map(filterType => filterRows(samples, WIDTH, HEIGHT, 4, filterType));
+        const rowLength = WIDTH * 4 + 1;
+        const raw = Buffer.concat([...Array(HEIGHT)].map((_, y) => (
+            filtered[y % filtered.length].subarray(y * rowLength, (y + 1) * rowLength)
+        )));
+        return png.decode(buildPng({ colorType: 6, raw })).pixels.equals(samples) ? null : 'pixels differ';
+    });
+
+    // Palette with transparency for the first two entries
+    const palette = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255]);
+    const transparency = Buffer.from([0, 128]);
+    const indices = Buffer.from([...Array(WIDTH * HEIGHT)].map((_, i) => i % 3));
+    check('palette + tRNS', () => {
+        const image = png.decode(buildPng({
+            colorType: 3,
+            raw: filterRows(indices, WIDTH, HEIGHT, 1, 1),
+            extraChunks: [chunk('PLTE', palette), chunk('tRNS', transparency)],
+        }));
+        const expected = Buffer.from([...indices].flatMap(index => [
+            ...palette.subarray(index * 3, index * 3 + 3),
+            index < transparency.length ? transparency[index] : 255,
+        ]));
+        return image.pixels.equals(expected) ? null : 'pixels differ';
+    });
+
+    // Round trip: encode, decode, encode again gives the same file
+    check('round trip', () => {
+        const image = { width: WIDTH, height: HEIGHT, pixels: pseudoRandomBytes(WIDTH * HEIGHT * 4, 7) };
+        const encoded = png.encode(image);
+        const decoded = png.decode(encoded);
+        if (!decoded.pixels.equals(image.pixels)) {
+            return 'pixels differ after decode';
+        }
+        return png.encode(decoded).equals(encoded) ? null : 'second encode differs';
+    });
+    check('encode rejects wrong pixel length', () => {
+        try {
+            png.encode({ width: WIDTH, height: HEIGHT, pixels: Buffer.alloc(3) });
+        } catch (error) {
+            return null;
+        }
+        return 'encoded, expected an error';
+    });
+
+    // Unsupported formats
+    const rgbaRaw = filterRows(pseudoRandomBytes(WIDTH * HEIGHT * 4, 3), WIDTH, HEIGHT, 4, 0);
+    rejects('16 bit', buildPng({ colorType: 6, bitDepth: 16, raw: rgbaRaw }), 'nur 8 Bit');
+    rejects('interlaced', buildPng({ colorType: 6, interlace: 1, raw: rgbaRaw }), 'ohne Interlacing');
+    rejects('too many pixels', buildPng({ colorType: 6, raw: rgbaRaw }), 'nicht zulässig', { maxPixels: WIDTH * HEIGHT - 1 });
+
+    // Truncated and corrupt files
+    const valid = buildPng({ colorType: 6, raw: rgbaRaw });
+    rejects('no signature', valid.subarray(8), 'Keine PNG-Datei');
+    rejects('cut inside a chunk', valid.subarray(0, valid.length - 20), 'abgeschnitten');
+    rejects('missing IEND', valid.subarray(0, valid.length - 12), 'unvollständig');
+
+    const flipped = Buffer.from(valid);
+    flipped[40] ^= 0xff;
+    rejects('wrong checksum', flipped, 'Prüfsumme');
+
+    const badFilter = Buffer.from(rgbaRaw);
+    badFilter[0] = 5;
+    rejects('unknown filter type', buildPng({ colorType: 6, raw: badFilter }), 'Unbekannter PNG-Filter');
+    rejects('short image data', buildPng({ colorType: 6, raw: rgbaRaw.subarray(1) }), 'falsche Länge');
+    rejects('image data not deflated', Buffer.concat([
+        valid.subarray(0, 33),
+        chunk('IDAT', Buffer.from('kein zlib')),
+        chunk('IEND', Buffer.alloc(0)),
+    ]), 'beschädigt');
+    rejects('palette index out of range', buildPng({
+        colorType: 3,
+        raw: filterRows(Buffer.alloc(WIDTH * HEIGHT, 9), WIDTH, HEIGHT, 1, 0),
+        extraChunks: [chunk('PLTE', palette)],
+    }), 'Palette');
+
+    if (problems.length > 0) {
+        console.error(`❌ PNG check failed (${problems.length}):`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        return false;
+    }
+
+    console.log(`✅ All ${cases} PNG cases decode and encode as expected`);
+    return true;
+}
+
+process.exitCode = main() ? 0 : 1;
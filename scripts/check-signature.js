@@ -0,0 +1,72 @@
+// DS Gutachten Formular - Signature check
+// Draws canvases like the form sends them (400×150 PNG) and checks that lib/signature.js accepts real
+// signatures and rejects empty or near-empty ones. Run with `npm run check-signature`.
+
+const png = require('../lib/png');
+const signature = require('../lib/signature');
+
+const WIDTH = 400;
+const HEIGHT = 150;
+
+// PNG data URL of a canvas; ink(x, y) returns the [r, g, b, a] of a drawn pixel or null
+function canvas(ink, background = [0, 0, 0, 0]) {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            pixels.set(ink(x, y) || background, (y * WIDTH + x) * 4);
+        }
+    }
+    return `data:image/png;base64,${png.encode({ width: WIDTH, height: HEIGHT, pixels }).toString('base64')}`;
+}
+
+const BLACK = [0, 0, 0, 255];
+const BLUE_PEN = [20, 40, 140, 255];
+const LIGHT_GRAY = [200, 200, 200, 255];
+
+// A wavy, 3 px wide stroke over most of the canvas, roughly what a signature leaves
+const stroke = color => (x, y) => (
+    x > 40 && x < 360 && Math.abs(y - 75 - 35 * Math.sin(x / 18)) < 1.5 ? color : null
+);
+
+// [name, data URL, expected code, or null when the signature must be accepted]
+const CASES = [
+    ['no signature', '', 'signature_missing'],
+    ['empty canvas from the browser', 'data:,', 'signature_missing'],
+    ['transparent canvas', canvas(() => null), 'signature_blank'],
+    ['white canvas', canvas(() => null, [255, 255, 255, 255]), 'signature_blank'],
+    ['single dot', canvas((x, y) => (Math.abs(x - 200) < 3 && Math.abs(y - 75) < 3 ? BLACK : null)), 'signature_blank'],
+    ['short dash', canvas((x, y) => (x >= 190 && x < 230 && y >= 74 && y < 77 ? BLACK : null)), 'signature_blank'],
+    ['flat line', canvas((x, y) => (x > 40 && x < 360 && y === 75 ? BLACK : null)), 'signature_blank'],
+    ['light gray strokes', canvas(stroke(LIGHT_GRAY)), 'signature_blank'],
+    ['faint strokes', canvas(stroke([0, 0, 0, 40])), 'signature_blank'],
+    ['real signature', canvas(stroke(BLACK)), null],
+    ['signature in blue ink', canvas(stroke(BLUE_PEN)), null],
+    ['signature on white background', canvas(stroke(BLACK), [255, 255, 255, 255]), null],
+    ['SVG instead of PNG', `data:image/svg+xml;base64,${Buffer.from('<svg></svg>').toString('base64')}`, 'image_type'],
+];
+
+function main() {
+    const problems = [];
+
+    CASES.forEach(([name, value, code]) => {
+        const result = signature.inspect(value);
+        if (code === null && !result.valid) {
+            problems.push(`${name}: rejected (${result.code}), expected to be accepted`);
+        } else if (code !== null && result.valid) {
+            problems.push(`${name}: accepted (${result.inkPixels} ink pixels), expected ${code}`);
+        } else if (code !== null && result.code !== code) {
+            problems.push(`${name}: rejected with ${result.code}, expected ${code}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        console.error(`❌ Signature check failed (${problems.length}):`);
+        problems.forEach(problem => console.error(`   - ${problem}`));
+        return false;
+    }
+
+    console.log(`✅ All ${CASES.length} signature cases are classified as expected`);
+    return true;
+}
+
+process.exitCode = main() ? 0 : 1;
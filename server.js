@@ -9,19 +9,97 @@ const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { Client } = require('@notionhq/client');
 const { google } = require('googleapis');
 const PDFDocument = require('pdfkit');
 const { v4: uuidv4 } = require('uuid');
+const JsonStore = require('./lib/json-store');
+const Outbox = require('./lib/outbox');
+const SinkRegistry = require('./lib/sink-registry');
+const PdfLifecycle = require('./lib/pdf-lifecycle');
+const WebhookDispatcher = require('./lib/webhooks');
+const AuditLog = require('./lib/audit-log');
+const formSchema = require('./lib/form-schema');
+const kennzeichen = require('./lib/kennzeichen');
+const vin = require('./lib/vin');
+const kontakt = require('./lib/kontakt');
+const address = require('./lib/address');
+const signature = require('./lib/signature');
+const imagePayload = require('./lib/image-payload');
+const plausibility = require('./lib/plausibility');
+const auftragPdf = require('./lib/auftrag-pdf');
+const abtretung = require('./lib/abtretung');
+const datenschutz = require('./lib/datenschutz');
+
+// Default sink pipeline, override with SUBMISSION_SINKS / SUBMISSION_BLOCKING_SINKS
+const DEFAULT_SINKS = ['pdf', 'googleDrive', 'localFiles', 'notionCustomer', 'notionBusinessResource'];
+const DEFAULT_BLOCKING_SINKS = ['pdf'];
+
+// Outbox job status -> submission step status
+const JOB_STEP_STATUS = {
+    pending: 'pending',
+    running: 'running',
+    done: 'succeeded',
+    dead: 'failed',
+};
+
+// Stand-ins for values that only exist after a real submission
+const DRY_RUN_PLACEHOLDERS = {
+    googleDriveFileLink: 'https://drive.google.com/file/d/DRY-RUN/view',
+    abtretungFileLink: 'https://drive.google.com/file/d/DRY-RUN-ABTRETUNG/view',
+    customerId: '00000000-0000-0000-0000-000000000000',
+};
+
+function parseList(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Temp and archive paths of a pdf sink result, incl. the Abtretungserklärung
+function pdfPaths(pdf) {
+    return [pdf, pdf.abtretung]
+        .filter(Boolean)
+        .flatMap(file => [file.filePath, file.archivePath])
+        .filter(Boolean);
+}
 
 class DSGutachtenServer {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3000;
+        this.storageDir = process.env.STORAGE_DIR || path.join(__dirname, 'storage');
+        this.tempDir = path.join(__dirname, 'temp');
+        this.localFilesDir = process.env.LOCAL_FILES_DIR || path.join(this.storageDir, 'files');
         
         // Initialize APIs
         this.initializeNotionClient();
         this.initializeGoogleDrive();
+
+        // Initialize retry outbox, submission sinks, webhooks and submission status store
+        this.initializeOutbox();
+        this.initializeSinks();
+        this.initializeWebhooks();
+        this.submissions = new JsonStore(path.join(this.storageDir, 'submissions.json'));
+        this.idempotencyKeys = new JsonStore(path.join(this.storageDir, 'idempotency.json'));
+        this.drafts = new JsonStore(path.join(this.storageDir, 'drafts.json'));
+
+        // Append-only audit trail of submissions and admin actions
+        this.audit = new AuditLog(path.join(this.storageDir, 'audit.jsonl'));
+
+        // Severity overrides for the plausibility rules, e.g. PLAUSIBILITY_RULES=kilometerstand_range=off
+        this.plausibilitySeverities = plausibility.parseSeverities(process.env.PLAUSIBILITY_RULES);
+
+        // Text of the Abtretungserklärung, ABTRETUNG_TEMPLATE replaces lib/data/abtretung.txt
+        this.abtretungTemplate = abtretung.loadTemplate(process.env.ABTRETUNG_TEMPLATE || abtretung.DEFAULT_TEMPLATE_PATH);
+
+        // Versions of the Datenschutzhinweis in public/datenschutz/, the newest one has to be accepted
+        this.privacyNotices = datenschutz.loadNotices();
+
+        // Local PDF archive and cleanup of temp/
+        this.initializePdfLifecycle();
         
         // Setup middleware
         this.setupMiddleware();
@@ -78,6 +156,212 @@ class DSGutachtenServer {
         }
     }
 
+    initializeOutbox() {
+        this.outbox = new Outbox(new JsonStore(path.join(this.storageDir, 'outbox.json')), {
+            maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8,
+            baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY_MS, 10) || 30 * 1000,
+            maxDelayMs: parseInt(process.env.OUTBOX_MAX_DELAY_MS, 10) || 60 * 60 * 1000,
+            pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 15 * 1000,
+        });
+
+        // Settled jobs and the form data of finished submissions are kept this long
+        this.recordRetentionDays = parseInt(process.env.RECORD_RETENTION_DAYS, 10) || 30;
+    }
+
+    initializePdfLifecycle() {
+        this.pdfLifecycle = new PdfLifecycle({
+            tempDir: this.tempDir,
+            archiveDir: process.env.PDF_ARCHIVE_DIR || path.join(this.storageDir, 'archive'),
+            archiveEnabled: process.env.PDF_ARCHIVE_ENABLED !== 'false',
+            deleteTempAfterUpload: process.env.PDF_DELETE_TEMP_AFTER_UPLOAD !== 'false',
+            retentionDays: parseInt(process.env.PDF_RETENTION_DAYS, 10) || 0,
+            tempMaxAgeHours: parseInt(process.env.PDF_TEMP_MAX_AGE_HOURS, 10) || 24,
+            intervalHours: parseInt(process.env.PDF_CLEANUP_INTERVAL_HOURS, 10) || 6,
+            // Temp and archived PDFs still waiting for a (retried) upload must survive the cleanup
+            isInUse: (filePath) => this.outbox.store.values().some(job => (
+                [Outbox.JOB_STATUS.PENDING, Outbox.JOB_STATUS.RUNNING].includes(job.status)
+                && job.payload.inputs
+                && job.payload.inputs.pdf
+                && pdfPaths(job.payload.inputs.pdf).includes(filePath)
+            )),
+        });
+    }
+
+    initializeSinks() {
+        this.sinks = new SinkRegistry();
+
+        this.sinks.register({
+            name: 'pdf',
+            label: 'PDF-Generierung',
+            run: async (formData) => {
+                const result = { generated: true, ...this.storePDFFile(await this.generatePDFFile(formData), formData) };
+
+                // The Abtretungserklärung is a document of its own, stored next to the Auftrag
+                if (formData.abtretung) {
+                    result.abtretung = this.storePDFFile(await this.generateAbtretungPDFFile(formData), formData);
+                }
+
+                return result;
+            },
+        });
+
+        this.sinks.register({
+            name: 'googleDrive',
+            label: 'Google Drive Upload',
+            dependsOn: ['pdf'],
+            retry: true,
+            skipReason: () => (this.drive ? null : 'Google Drive client not initialized'),
+            run: (formData, inputs, { checkpoint, saveCheckpoint }) => {
+                if (!inputs.pdf) {
+                    throw new Error('Kein PDF für den Upload vorhanden');
+                }
+
+                return this.uploadToGoogleDrive(formData, this.resolvePdfSources(inputs.pdf), checkpoint, saveCheckpoint).then(result => {
+                    this.releasePdfTemp(inputs.pdf, 'googleDrive');
+                    return result;
+                });
+            },
+        });
+
+        this.sinks.register({
+            name: 'localFiles',
+            label: 'Lokale Ablage',
+            dependsOn: ['pdf'],
+            retry: true,
+            skipReason: () => this.localFilesSkipReason(),
+            run: async (formData, inputs) => {
+                if (!inputs.pdf) {
+                    throw new Error('Kein PDF für die Ablage vorhanden');
+                }
+
+                const result = this.saveToLocalFiles(formData, this.resolvePdfSources(inputs.pdf));
+                this.releasePdfTemp(inputs.pdf, 'localFiles');
+                return result;
+            },
+        });
+
+        this.sinks.register({
+            name: 'notionCustomer',
+            label: 'Notion Kontakt',
+            retry: true,
+            skipReason: () => this.notionSkipReason('KONTAKTE_DATABASE_ID'),
+            run: (formData, inputs, { checkpoint, saveCheckpoint }) => (
+                this.createNotionCustomer(formData, checkpoint, saveCheckpoint)
+            ),
+        });
+
+        this.sinks.register({
+            name: 'notionBusinessResource',
+            label: 'Notion Business Resource',
+            dependsOn: ['googleDrive', 'localFiles', 'notionCustomer'],
+            retry: true,
+            skipReason: () => this.notionSkipReason('BUSINESS_RESOURCES_DATABASE_ID'),
+            run: (formData, inputs, { checkpoint, saveCheckpoint, warnings }) => {
+                // File links and customer relation are only set when those steps succeeded
+                const storage = inputs.googleDrive || inputs.localFiles;
+                const fileLinks = {
+                    auftrag: storage ? storage.fileLink : null,
+                    abtretung: storage && storage.abtretung ? storage.abtretung.fileLink : null,
+                };
+                const customerId = inputs.notionCustomer ? inputs.notionCustomer.id : null;
+                return this.createNotionBusinessResource(formData, fileLinks, customerId, checkpoint, saveCheckpoint, warnings);
+            },
+        });
+
+        // Retried sinks run as outbox jobs, also when they are not in the current configuration
+        this.sinks.names()
+            .map(name => this.sinks.get(name))
+            .filter(sink => sink.retry)
+            .forEach(sink => {
+                this.outbox.register(sink.name, (job, { dependencies, saveCheckpoint }) => {
+                    const inputs = { ...job.payload.inputs };
+                    Object.values(dependencies).forEach(dependency => {
+                        inputs[dependency.type] = dependency.status === Outbox.JOB_STATUS.DONE ? dependency.result : null;
+                    });
+                    return this.sinks.get(job.type).run(job.payload.formData, inputs, {
+                        checkpoint: job.checkpoint,
+                        saveCheckpoint,
+                        warnings: job.payload.warnings || [],
+                    });
+                });
+            });
+
+        this.sinkPipeline = this.sinks.resolve(
+            parseList(process.env.SUBMISSION_SINKS, DEFAULT_SINKS),
+            parseList(process.env.SUBMISSION_BLOCKING_SINKS, DEFAULT_BLOCKING_SINKS),
+        );
+        console.log(`🔗 Submission sinks: ${this.sinkPipeline.map(sink => (sink.blocking ? `${sink.name} (blocking)` : sink.name)).join(' → ')}`);
+    }
+
+    initializeWebhooks() {
+        const endpoints = WebhookDispatcher.parseEndpoints(process.env.WEBHOOKS);
+        this.webhooks = new WebhookDispatcher(this.outbox, endpoints, {
+            timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000,
+        });
+
+        // Background retries decide later whether a step failed and when a submission is complete
+        this.outbox.on('settled', job => this.handleJobSettled(job));
+
+        if (endpoints.length > 0) {
+            console.log(`🪝 Webhooks configured: ${endpoints.length}`);
+        }
+    }
+
+    // LOCAL_FILES_ENABLED: auto (only without Google Drive), true or false
+    localFilesSkipReason() {
+        const mode = process.env.LOCAL_FILES_ENABLED || 'auto';
+        if (mode === 'false') {
+            return 'Local file storage disabled';
+        }
+        if (mode === 'auto' && this.drive) {
+            return 'Google Drive is configured';
+        }
+        return null;
+    }
+
+    // After a redeploy temp/ is empty, the archived copy is used instead
+    resolvePdfSource(pdf) {
+        return fs.existsSync(pdf.filePath) || !pdf.archivePath ? pdf.filePath : pdf.archivePath;
+    }
+
+    // Auftrag and, when checked, Abtretungserklärung from the result of the pdf sink
+    resolvePdfSources(pdf) {
+        return {
+            auftrag: this.resolvePdfSource(pdf),
+            abtretung: pdf.abtretung ? this.resolvePdfSource(pdf.abtretung) : null,
+        };
+    }
+
+    // Only the last sink that reads the PDFs removes the temp files; with the archive disabled
+    // they are the only copy. A sink counts as finished once its job for these PDFs is done.
+    releasePdfTemp(pdf, sinkName) {
+        const jobs = this.outbox.store.values();
+        const waiting = this.sinkPipeline
+            .filter(sink => sink.name !== sinkName && sink.dependsOn.includes('pdf') && !sink.skipReason())
+            .filter(sink => !jobs.some(job => (
+                job.type === sink.name
+                && job.status === Outbox.JOB_STATUS.DONE
+                && job.payload.inputs
+                && job.payload.inputs.pdf
+                && job.payload.inputs.pdf.filePath === pdf.filePath
+            )));
+        if (waiting.length > 0) {
+            return;
+        }
+
+        this.pdfLifecycle.releaseTemp(pdf.filePath);
+        if (pdf.abtretung) {
+            this.pdfLifecycle.releaseTemp(pdf.abtretung.filePath);
+        }
+    }
+
+    notionSkipReason(databaseEnv) {
+        if (!this.notion) {
+            return 'Notion client not initialized';
+        }
+        return process.env[databaseEnv] ? null : `${databaseEnv} not configured`;
+    }
+
     setupMiddleware() {
         // Security middleware
         this.app.use(helmet({
@@ -102,15 +386,26 @@ class DSGutachtenServer {
         });
         this.app.use(limiter);
 
-        // Stricter rate limiting for form submissions
+        // Stricter rate limiting for form submissions; dry runs (staff only) do not count
         const submitLimiter = rateLimit({
             windowMs: 10 * 60 * 1000, // 10 minutes
             max: 5, // limit each IP to 5 submissions per 10 minutes
+            skip: (req) => req.query.dryRun === 'true',
             message: {
                 error: 'Zu viele Formulareinsendungen. Bitte warten Sie 10 Minuten.',
             },
         });
 
+        // Saving drafts writes to disk, so it gets its own limit; loading a draft does not count
+        const draftLimiter = rateLimit({
+            windowMs: 10 * 60 * 1000, // 10 minutes
+            max: parseInt(process.env.DRAFT_RATE_LIMIT, 10) || 20, // drafts saved per IP per 10 minutes
+            skip: (req) => req.method === 'GET',
+            message: {
+                error: 'Zu viele Entwürfe gespeichert. Bitte warten Sie 10 Minuten.',
+            },
+        });
+
         // CORS
         this.app.use(cors({
             origin: process.env.NODE_ENV === 'production' 
@@ -119,18 +414,32 @@ class DSGutachtenServer {
             credentials: true,
         }));
 
-        // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+        // Client IP from X-Forwarded-For behind the Railway proxy
+        if (process.env.NODE_ENV === 'production') {
+            this.app.set('trust proxy', 1);
+        }
+
+        // Request ID for log correlation and the audit trail
+        this.app.use((req, res, next) => {
+            const requestId = req.get('X-Request-Id');
+            req.id = requestId && /^[\w.-]{1,100}$/.test(requestId) ? requestId : uuidv4();
+            res.set('X-Request-Id', req.id);
+            next();
+        });
+
+        // Body parsing; images are limited to 512 KB each (lib/image-payload.js), 2 MB leaves room for Base64
+        this.app.use(express.json({ limit: '2mb' }));
+        this.app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 
         // Logging
         this.app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
-        // Static files
-        this.app.use(express.static('public'));
+        // Static files; no directory redirect, so /datenschutz reaches the route to the current notice
+        this.app.use(express.static('public', { redirect: false }));
 
         // Apply submit rate limiting to specific route
         this.app.use('/api/submit-gutachten', submitLimiter);
+        this.app.use('/api/drafts', draftLimiter);
     }
 
     setupRoutes() {
@@ -143,18 +452,59 @@ class DSGutachtenServer {
                     notion: !!this.notion,
                     googleDrive: !!this.drive,
                 },
+                outbox: this.outbox.stats(),
+                pdfCleanup: this.pdfLifecycle.lastReport && {
+                    lastRun: this.pdfLifecycle.lastReport.finishedAt,
+                    removed: this.pdfLifecycle.lastReport.removed.length,
+                    freedBytes: this.pdfLifecycle.lastReport.freedBytes,
+                },
             });
         });
 
-        // Main form page
+        // Main form page (?draft=<token> is restored client-side)
         this.app.get('/', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
 
+        // Dry run for staff: validation, PDF and Notion payloads without writing to Drive or Notion
+        const previewHandler = async (req, res) => {
+            this.auditAdminAction(req, 'admin.preview', {
+                dryRun: req.query.dryRun === 'true',
+                gutachten_nr: formSchema.mapFields(req.body).data.gutachten_nr || null,
+            });
+            try {
+                const preview = await this.previewGutachtenSubmission(req.body, { ip: req.ip });
+                res.json({
+                    success: true,
+                    message: 'Vorschau erstellt (keine Daten gespeichert)',
+                    data: preview,
+                });
+            } catch (error) {
+                console.error('Form preview error:', error);
+                res.status(error.status || 500).json({
+                    success: false,
+                    message: error.message || 'Ein Fehler ist aufgetreten',
+                });
+            }
+        };
+        this.app.post('/admin/preview-gutachten', (req, res, next) => this.requireAdmin(req, res, next), previewHandler);
+
         // Form submission endpoint
         this.app.post('/api/submit-gutachten', async (req, res) => {
+            if (req.query.dryRun === 'true') {
+                return this.requireAdmin(req, res, () => previewHandler(req, res));
+            }
+
             try {
-                const result = await this.processGutachtenSubmission(req.body);
+                const idempotencyKey = req.get('Idempotency-Key');
+                if (idempotencyKey && idempotencyKey.length > 255) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Ungültiger Idempotency-Key',
+                    });
+                }
+
+                const result = await this.processGutachtenSubmission(req.body, idempotencyKey, { requestId: req.id, ip: req.ip });
                 res.json({
                     success: true,
                     message: 'Gutachten erfolgreich übermittelt',
@@ -162,264 +512,1047 @@ class DSGutachtenServer {
                 });
             } catch (error) {
                 console.error('Form submission error:', error);
-                res.status(500).json({
+                res.status(error.status || 500).json({
+                    success: false,
+                    message: error.message || 'Ein Fehler ist aufgetreten',
+                    // [{ field, code, message }] for validation errors (422)
+                    ...(error.errors && { errors: error.errors }),
+                });
+            }
+        });
+
+        // Plausibility check before the final submit: { errors, warnings }, nothing is stored
+        this.app.post('/api/plausibility', (req, res) => {
+            const formData = this.normalizeFormData(req.body || {});
+            res.json({
+                success: true,
+                data: plausibility.check(formData, { severities: this.plausibilitySeverities }),
+            });
+        });
+
+        // Drafts: save a partially filled form and resume it via /?draft=<token>
+        const draftHandler = (req, res) => {
+            try {
+                const draft = this.saveDraft(req.body, req.params.token);
+                res.json({
+                    success: true,
+                    message: 'Entwurf gespeichert',
+                    data: {
+                        token: draft.token,
+                        resumeUrl: `/?draft=${encodeURIComponent(draft.token)}`,
+                        expiresAt: draft.expiresAt,
+                    },
+                });
+            } catch (error) {
+                console.error('Draft error:', error);
+                res.status(error.status || 500).json({
                     success: false,
                     message: error.message || 'Ein Fehler ist aufgetreten',
+                    ...(error.errors && { errors: error.errors }),
+                });
+            }
+        };
+        this.app.post('/api/drafts', draftHandler);
+        this.app.put('/api/drafts/:token', draftHandler);
+
+        this.app.get('/api/drafts/:token', (req, res) => {
+            const draft = this.findDraft(req.params.token);
+            if (!draft) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Entwurf nicht gefunden oder abgelaufen',
+                });
+            }
+
+            res.json({
+                success: true,
+                data: draft,
+            });
+        });
+
+        // Field definitions shared with the client-side validation
+        this.app.get('/api/form-schema', (req, res) => {
+            res.json({
+                success: true,
+                data: formSchema.FORM_SCHEMA,
+            });
+        });
+
+        // Text of the Abtretungserklärung, shown to the customer before signing it
+        this.app.get('/api/abtretung', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    template: this.abtretungTemplate,
+                    placeholders: abtretung.placeholders(this.abtretungTemplate),
+                },
+            });
+        });
+
+        // Current Datenschutzhinweis; older versions stay available under /datenschutz/vN.html
+        this.app.get('/datenschutz', (req, res) => {
+            res.redirect(datenschutz.current(this.privacyNotices).url);
+        });
+
+        this.app.get('/api/datenschutz', (req, res) => {
+            res.json({
+                success: true,
+                data: datenschutz.current(this.privacyNotices),
+            });
+        });
+
+        // Offline VIN check for the form (manufacturer and model year from the bundled WMI table)
+        this.app.get('/api/vin/:vin', (req, res) => {
+            res.json({
+                success: true,
+                data: vin.decode(req.params.vin),
+            });
+        });
+
+        // Ort for a PLZ from the bundled table; with ?ort= also whether the two match
+        this.app.get('/api/plz/:plz', (req, res) => {
+            const { plz } = req.params;
+            if (!address.isValidPlz(plz)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ungültige Postleitzahl',
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { plz, ...address.checkOrt(plz, req.query.ort) },
+            });
+        });
+
+        // Submission status for staff (by submission ID or Gutachten-Nr., admin only)
+        this.app.get('/api/submissions/:id', (req, res, next) => this.requireAdmin(req, res, next), (req, res) => {
+            const submission = this.findSubmission(req.params.id);
+            this.auditAdminAction(req, 'admin.submission_status', {
+                query: req.params.id,
+                ...(submission && { submission_id: submission.id, gutachten_nr: submission.gutachten_nr }),
+            });
+            if (!submission) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Auftrag nicht gefunden',
+                });
+            }
+
+            res.json({
+                success: true,
+                data: this.buildSubmissionStatus(submission),
+            });
+        });
+
+        // Download of locally stored PDFs (admin only)
+        this.app.get('/files/:folder/:file', (req, res, next) => this.requireAdmin(req, res, next), (req, res) => {
+            const folderName = PdfLifecycle.sanitizeFileName(req.params.folder);
+            const fileName = PdfLifecycle.sanitizeFileName(req.params.file);
+            const filePath = path.join(this.localFilesDir, folderName, fileName);
+
+            if (!fileName.endsWith('.pdf') || !fs.existsSync(filePath)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Datei nicht gefunden',
+                });
+            }
+
+            this.auditAdminAction(req, 'admin.file_download', { file: `${folderName}/${fileName}` });
+            res.download(filePath, fileName);
+        });
+
+        // Audit log query (admin only), e.g. ?gutachten_nr=DS-2025-123456&from=2025-01-01&to=2025-01-31
+        this.app.get('/admin/audit-log', (req, res, next) => this.requireAdmin(req, res, next), (req, res) => {
+            const { gutachten_nr: gutachtenNr, from, to } = req.query;
+            const invalidDate = [from, to].some(value => value && Number.isNaN(new Date(value).getTime()));
+            if (invalidDate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ungültiges Datum (erwartet: YYYY-MM-DD)',
+                });
+            }
+
+            this.auditAdminAction(req, 'admin.audit_query', { query: { gutachtenNr, from, to } });
+            const entries = this.audit.query({
+                gutachtenNr,
+                from,
+                to,
+                limit: Math.min(parseInt(req.query.limit, 10) || 500, 5000),
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    entries,
+                    chainIntact: this.audit.verify() === -1,
+                },
+            });
+        });
+
+        // Admin endpoint for setting Notion token (optional)
+        this.app.get('/admin/set-notion-token', (req, res, next) => this.requireAdmin(req, res, next), (req, res) => {
+            const { token } = req.query;
+            if (token && token.startsWith('ntn_')) {
+                process.env.NOTION_TOKEN = token;
+                this.initializeNotionClient();
+                this.auditAdminAction(req, 'admin.set_notion_token', { success: true });
+                res.json({ success: true, message: 'Notion token updated' });
+            } else {
+                this.auditAdminAction(req, 'admin.set_notion_token', { success: false });
+                res.status(400).json({ success: false, message: 'Invalid token format' });
+            }
+        });
+    }
+
+    auditAdminAction(req, action, details = {}) {
+        this.audit.append(action, {
+            requestId: req.id,
+            ip: req.ip,
+            ...details,
+        });
+    }
+
+    // Step name -> status, e.g. { pdf: 'succeeded', googleDrive: 'retrying', ... }
+    summarizeIntegrations(submission) {
+        const integrations = {};
+        Object.entries(this.buildSubmissionStatus(submission).steps).forEach(([step, state]) => {
+            integrations[step] = state.status;
+        });
+        return integrations;
+    }
+
+    async processGutachtenSubmission(formData, idempotencyKey = null, context = {}) {
+        console.log('Processing gutachten submission...');
+
+        // A submitted draft becomes a normal submission
+        const { draftToken, ...fields } = formData;
+        
+        // Normalize field names from frontend to backend format. The content hash is taken
+        // before a missing Gutachten-Nr. is generated, so identical retries get the same key.
+        formData = this.normalizeFormData(fields, { assignGutachtenNr: false });
+        const contentHash = this.hashFormContent(formData);
+        const key = idempotencyKey || `${formData.gutachten_nr || 'ohne-nr'}:${contentHash}`;
+        formData = this.assignGutachtenNr(formData);
+
+        // Replayed requests (double tap, network retry) get the original result back
+        const previous = this.findIdempotencyRecord(key);
+        if (previous && previous.contentHash && previous.contentHash !== contentHash) {
+            const error = new Error('Der Idempotency-Key wurde bereits für einen anderen Auftrag verwendet');
+            error.status = 422;
+            throw error;
+        }
+        if (previous && previous.status === 'completed') {
+            console.log(`↩️  Replaying result for idempotency key ${key}`);
+            this.audit.append('submission.replayed', {
+                ...context,
+                gutachten_nr: formData.gutachten_nr,
+                submission_id: previous.results.submission_id,
+            });
+            return { ...previous.results, replayed: true };
+        }
+        if (previous) {
+            const error = new Error('Dieser Auftrag wird bereits verarbeitet');
+            error.status = 409;
+            throw error;
+        }
+
+        this.idempotencyKeys.set(key, {
+            key,
+            contentHash,
+            status: 'processing',
+            createdAt: new Date().toISOString(),
+        });
+
+        // Logged before the pipeline runs, so it always precedes submission.completed/failed;
+        // integration status and PDF hashes follow with submission.completed
+        const submissionId = uuidv4();
+        this.audit.append('submission.created', {
+            ...context,
+            gutachten_nr: formData.gutachten_nr,
+            submission_id: submissionId,
+        });
+
+        try {
+            const results = await this.runSubmissionPipeline(formData, context, submissionId);
+            this.idempotencyKeys.update(key, { status: 'completed', results });
+            if (draftToken && this.drafts.delete(draftToken)) {
+                console.log(`✅ Draft converted into submission ${results.submission_id}`);
+            }
+            return results;
+        } catch (error) {
+            // Failed submissions may be sent again
+            this.idempotencyKeys.delete(key);
+            this.audit.append('submission.failed', {
+                ...context,
+                gutachten_nr: formData.gutachten_nr,
+                submission_id: submissionId,
+                error: error.message,
+            });
+            throw error;
+        }
+    }
+
+    async runSubmissionPipeline(formData, context = {}, submissionId = uuidv4()) {
+        // Every submission gets a persisted status record, see GET /api/submissions/:id
+        this.createSubmissionRecord(submissionId, formData, context);
+
+        // Validate required fields
+        let warnings;
+        try {
+            warnings = this.validateFormData(formData);
+            this.recordSubmissionStep(submissionId, 'validation', 'succeeded', { warnings });
+        } catch (error) {
+            this.recordSubmissionStep(submissionId, 'validation', 'failed', { error: error.message });
+            throw error;
+        }
+
+        // Proof of the DSGVO consent, kept with the submission and printed in the Auftrag PDF
+        const consent = this.buildConsent(formData, context);
+        this.submissions.update(submissionId, { consent });
+        formData = { ...formData, datenschutz_consent: consent };
+
+        const results = {
+            timestamp: new Date().toISOString(),
+            gutachten_nr: formData.gutachten_nr,
+            submission_id: submissionId,
+            warnings,
+            consent: { version: consent.version, acceptedAt: consent.acceptedAt },
+        };
+
+        // Run the configured sinks in order. Sinks with retry are stored as outbox
+        // jobs: the first attempt runs right away, failures are retried in the background.
+        const jobFormData = this.buildJobFormData(formData);
+        const inputs = {};
+        const jobIds = {};
+
+        this.webhooks.emit('submission.created', {
+            submission_id: submissionId,
+            gutachten_nr: formData.gutachten_nr,
+            formData: jobFormData,
+        }, submissionId);
+
+        try {
+            for (const sink of this.sinkPipeline) {
+                const skipReason = sink.skipReason();
+                if (skipReason) {
+                    results[sink.name] = { skipped: skipReason };
+                    inputs[sink.name] = null;
+                    this.recordSubmissionStep(submissionId, sink.name, 'skipped', { reason: skipReason });
+                    continue;
+                }
+
+                const sinkInputs = {};
+                sink.dependsOn
+                    .filter(dependency => dependency in inputs)
+                    .forEach(dependency => {
+                        sinkInputs[dependency] = inputs[dependency];
+                    });
+
+                if (sink.retry) {
+                    // Plausibility warnings as checked on submit, a retry does not evaluate the rules again
+                    const job = this.outbox.enqueue(sink.name, { formData: jobFormData, inputs: sinkInputs, warnings }, {
+                        submissionId,
+                        dependsOn: sink.dependsOn.filter(dependency => jobIds[dependency]).map(dependency => jobIds[dependency]),
+                    });
+                    jobIds[sink.name] = job.id;
+                    this.recordSubmissionStep(submissionId, sink.name, 'queued', { jobId: job.id });
+
+                    let settledJob = await this.outbox.runJob(job.id);
+
+                    if (sink.blocking && settledJob.status !== Outbox.JOB_STATUS.DONE) {
+                        if (settledJob.status === Outbox.JOB_STATUS.PENDING) {
+                            settledJob = this.outbox.cancel(job.id, [settledJob.lastError, 'Auftrag abgebrochen'].filter(Boolean).join(' - '));
+                        }
+                        results[sink.name] = this.describeJob(settledJob);
+                        throw new Error(`${sink.label} fehlgeschlagen`);
+                    }
+
+                    results[sink.name] = this.describeJob(settledJob);
+                    continue;
+                }
+
+                try {
+                    const result = await sink.run(formData, sinkInputs, { checkpoint: {}, saveCheckpoint: () => {}, warnings });
+                    results[sink.name] = result;
+                    inputs[sink.name] = result;
+                    this.recordSubmissionStep(submissionId, sink.name, 'succeeded');
+                    console.log(`✅ ${sink.label} completed`);
+                } catch (error) {
+                    console.error(`❌ ${sink.label} failed:`, error.message);
+                    results[sink.name] = { error: error.message };
+                    inputs[sink.name] = null;
+                    this.recordSubmissionStep(submissionId, sink.name, 'failed', { error: error.message });
+                    this.emitIntegrationFailed(submissionId, sink.name, error.message, 1);
+
+                    if (sink.blocking) {
+                        throw new Error(`${sink.label} fehlgeschlagen`);
+                    }
+                }
+            }
+        } catch (error) {
+            this.finishSubmission(submissionId, jobFormData, results, true);
+            throw error;
+        }
+
+        this.finishSubmission(submissionId, jobFormData, results);
+        return results;
+    }
+
+    // Stores the outcome of the inline run; steps still queued continue in the outbox
+    finishSubmission(submissionId, formData, results, aborted = false) {
+        const submission = this.submissions.get(submissionId);
+
+        if (aborted) {
+            Object.values(submission.steps)
+                .filter(step => step.status === 'pending')
+                .forEach(step => {
+                    step.status = 'skipped';
+                    step.reason = 'Auftrag abgebrochen';
+                    step.timestamp = new Date().toISOString();
                 });
+        }
+
+        this.submissions.set(submissionId, {
+            ...submission,
+            formData,
+            results,
+            pipelineFinished: true,
+        });
+        this.checkSubmissionCompleted(submissionId);
+    }
+
+    handleJobSettled(job) {
+        if (job.type === WebhookDispatcher.JOB_TYPE || !job.submissionId) {
+            return;
+        }
+
+        if (job.status === Outbox.JOB_STATUS.DEAD) {
+            this.emitIntegrationFailed(job.submissionId, job.type, job.lastError, job.attempts);
+        }
+        this.checkSubmissionCompleted(job.submissionId);
+    }
+
+    emitIntegrationFailed(submissionId, step, error, attempts) {
+        const submission = this.submissions.get(submissionId);
+        this.webhooks.emit('integration.failed', {
+            submission_id: submissionId,
+            gutachten_nr: submission ? submission.gutachten_nr : null,
+            step,
+            error,
+            attempts,
+        }, submissionId);
+    }
+
+    // submission.completed is sent once, when no step is queued or retrying anymore
+    checkSubmissionCompleted(submissionId) {
+        const submission = this.submissions.get(submissionId);
+        if (!submission || !submission.pipelineFinished || submission.completedEventSent) {
+            return;
+        }
+
+        const status = this.buildSubmissionStatus(submission);
+        if (status.status === 'processing') {
+            return;
+        }
+
+        this.submissions.update(submissionId, { completedEventSent: true });
+        this.audit.append('submission.completed', {
+            requestId: submission.requestId,
+            ip: submission.ip,
+            gutachten_nr: submission.gutachten_nr,
+            submission_id: submissionId,
+            status: status.status,
+            integrations: this.summarizeIntegrations(submission),
+            pdfSha256: submission.results.pdf && submission.results.pdf.sha256,
+            ...(submission.results.pdf && submission.results.pdf.abtretung && { abtretungSha256: submission.results.pdf.abtretung.sha256 }),
+            ...(submission.consent && { consentVersion: submission.consent.version }),
+        });
+        this.webhooks.emit('submission.completed', {
+            submission_id: submissionId,
+            gutachten_nr: submission.gutachten_nr,
+            status: status.status,
+            steps: status.steps,
+            formData: submission.formData,
+            results: this.buildSubmissionResults(submission),
+        }, submissionId);
+    }
+
+    // Results as returned by the POST, updated with the current state of retried steps
+    buildSubmissionResults(submission) {
+        const results = { ...submission.results };
+        Object.entries(submission.steps).forEach(([step, state]) => {
+            const job = state.jobId ? this.outbox.getJob(state.jobId) : null;
+            if (job) {
+                results[step] = this.describeJob(job);
             }
         });
+        return results;
+    }
+
+    async previewGutachtenSubmission(formData, context = {}) {
+        console.log('Previewing gutachten submission (dry run)...');
+
+        formData = this.normalizeFormData(formData);
+
+        let validation = { valid: true };
+        try {
+            validation.warnings = this.validateFormData(formData);
+            formData = { ...formData, datenschutz_consent: this.buildConsent(formData, context) };
+        } catch (error) {
+            validation = { valid: false, error: error.message, errors: error.errors };
+        }
+
+        // PDFs are rendered into temp/ and removed again after reading them
+        const readPDF = (filePath, fileName) => {
+            const buffer = fs.readFileSync(filePath);
+            fs.unlinkSync(filePath);
+            return { fileName, size: buffer.length, base64: buffer.toString('base64') };
+        };
+        const driveLocation = this.buildDriveLocation(formData);
+        const pdf = readPDF(await this.generatePDFFile(formData), driveLocation.fileName);
+        const abtretungPdf = formData.abtretung
+            ? readPDF(await this.generateAbtretungPDFFile(formData), driveLocation.abtretungFileName)
+            : null;
+
+        // Drive link and customer ID do not exist yet, placeholders show where they go
+        return {
+            gutachten_nr: formData.gutachten_nr,
+            formData: this.buildJobFormData(formData),
+            validation,
+            sinks: this.sinkPipeline.map(sink => ({
+                name: sink.name,
+                blocking: sink.blocking,
+                ...(sink.skipReason() && { skipped: sink.skipReason() }),
+            })),
+            pdf,
+            ...(abtretungPdf && { abtretungPdf }),
+            googleDrive: driveLocation,
+            notion: {
+                customer: {
+                    parent: { database_id: process.env.KONTAKTE_DATABASE_ID || null },
+                    properties: this.buildKontakteProperties(formData),
+                },
+                businessResource: {
+                    parent: { database_id: process.env.BUSINESS_RESOURCES_DATABASE_ID || null },
+                    properties: this.buildGutachtenResourceProperties(
+                        formData,
+                        DRY_RUN_PLACEHOLDERS.googleDriveFileLink,
+                        DRY_RUN_PLACEHOLDERS.customerId,
+                    ),
+                    children: this.buildGutachtenResourceChildren(formData, DRY_RUN_PLACEHOLDERS.abtretungFileLink, validation.warnings),
+                },
+            },
+        };
+    }
+
+    // Drafts keep the raw form fields (incl. signature) as sent by the client. Texts are limited to the
+    // schema's maxLength (DRAFT_FIELD_MAX_LENGTH for fields without one), images get the same checks as on submit.
+    sanitizeDraftData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            const error = new Error('Ungültige Entwurfsdaten');
+            error.status = 400;
+            throw error;
+        }
+
+        const maxLength = parseInt(process.env.DRAFT_FIELD_MAX_LENGTH, 10) || 5000;
+        const imageLabels = { signature: 'Unterschrift', abtretung_signature: 'Unterschrift Abtretungserklärung' };
+        const fields = {};
+        const errors = [];
+
+        Object.entries(data)
+            .filter(([field, value]) => field !== 'draftToken' && ['string', 'boolean'].includes(typeof value))
+            .slice(0, 100)
+            .forEach(([field, value]) => {
+                const schemaField = formSchema.allFields().find(entry => entry.name === field || entry.key === field);
+                const isImage = field in imageLabels || (schemaField && schemaField.type === 'image');
+
+                if (isImage && typeof value === 'string') {
+                    // An untouched canvas is not worth keeping
+                    if (value === '' || value === 'data:,') {
+                        return;
+                    }
+                    const image = imagePayload.inspect(value, schemaField
+                        ? { label: schemaField.label, ...schemaField.limits }
+                        : { label: imageLabels[field] });
+                    if (!image.valid) {
+                        errors.push({ field, code: image.code, message: image.error });
+                        return;
+                    }
+                } else if (typeof value === 'string') {
+                    const limit = (schemaField && schemaField.maxLength) || maxLength;
+                    if (value.length > limit) {
+                        const label = schemaField ? schemaField.label : field;
+                        errors.push({ field, code: 'too_long', message: `${label} ist zu lang (max. ${limit} Zeichen)` });
+                        return;
+                    }
+                }
+                fields[field] = value;
+            });
+
+        if (errors.length > 0) {
+            const error = new Error(errors[0].message);
+            error.status = 422;
+            error.errors = errors;
+            throw error;
+        }
+        return fields;
+    }
+
+    findDraft(token) {
+        const now = Date.now();
+
+        // Drop expired drafts while we are at it, with a single write
+        this.drafts.deleteWhere(draft => new Date(draft.expiresAt).getTime() <= now);
+
+        return typeof token === 'string' ? this.drafts.get(token) : null;
+    }
+
+    saveDraft(data, token = null) {
+        const ttlMs = (parseInt(process.env.DRAFT_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+        const now = new Date();
+        const existing = token ? this.findDraft(token) : null;
+
+        if (token && !existing) {
+            const error = new Error('Entwurf nicht gefunden oder abgelaufen');
+            error.status = 404;
+            throw error;
+        }
+
+        const draftToken = existing ? existing.token : crypto.randomBytes(24).toString('base64url');
+        return this.drafts.set(draftToken, {
+            token: draftToken,
+            data: this.sanitizeDraftData(data),
+            createdAt: existing ? existing.createdAt : now.toISOString(),
+            updatedAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+        });
+    }
+
+    // Hash of the submitted content, stored with the idempotency key. Without an Idempotency-Key
+    // header the key is Gutachten-Nr. plus this hash.
+    hashFormContent(formData) {
+        const { submitted_at, timestamp, ...content } = formData;
+        const canonical = JSON.stringify(Object.keys(content).sort().map(field => [field, content[field]]));
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    findIdempotencyRecord(key) {
+        const ttlMs = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+        const cutoff = Date.now() - ttlMs;
+        // A key still "processing" after this long belongs to a crashed run and may be retried
+        const processingMs = (parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES, 10) || 10) * 60 * 1000;
+        const processingCutoff = Date.now() - processingMs;
+
+        // Drop expired keys while we are at it
+        this.idempotencyKeys.deleteWhere(record => {
+            const createdAt = new Date(record.createdAt).getTime();
+            return createdAt < cutoff || (record.status === 'processing' && createdAt < processingCutoff);
+        });
+
+        return this.idempotencyKeys.get(key);
+    }
+
+    createSubmissionRecord(submissionId, formData, context = {}) {
+        const now = new Date().toISOString();
+        const steps = {};
+        ['validation', ...this.sinkPipeline.map(sink => sink.name)].forEach(step => {
+            steps[step] = { status: 'pending', timestamp: now };
+        });
+
+        return this.submissions.set(submissionId, {
+            id: submissionId,
+            gutachten_nr: formData.gutachten_nr,
+            createdAt: now,
+            requestId: context.requestId || null,
+            ip: context.ip || null,
+            steps,
+        });
+    }
+
+    // The accepted notice is identified by version, URL and hash of the text, see lib/datenschutz.js
+    buildConsent(formData, context = {}) {
+        const notice = datenschutz.find(this.privacyNotices, formData.datenschutz_version);
+        // validateFormData already rejects these, but no consent is recorded without a ticked box and a known text
+        if (!formSchema.isChecked(formData.datenschutz) || !notice) {
+            const error = new Error('Bitte lesen und bestätigen Sie den aktuellen Datenschutzhinweis');
+            error.status = 422;
+            error.errors = [{
+                field: formSchema.fieldName('datenschutz'),
+                code: notice ? 'required' : 'consent_outdated',
+                message: error.message,
+            }];
+            throw error;
+        }
+        return {
+            version: notice.version,
+            url: this.publicUrl(notice.url),
+            sha256: notice.sha256,
+            acceptedAt: new Date().toISOString(),
+            ip: context.ip || null,
+        };
+    }
+
+    recordSubmissionStep(submissionId, step, status, details = {}) {
+        const submission = this.submissions.get(submissionId);
+        submission.steps[step] = { status, timestamp: new Date().toISOString(), ...details };
+        this.submissions.set(submissionId, submission);
+    }
+
+    // Removes settled outbox jobs and the personal data of finished submissions after
+    // RECORD_RETENTION_DAYS. Status, steps and consent of the submission are kept.
+    pruneRecords() {
+        const cutoff = Date.now() - this.recordRetentionDays * 24 * 60 * 60 * 1000;
+
+        const prunedJobs = this.outbox.prune(cutoff);
+        // The final job state moves into the submission, so its status stays readable
+        prunedJobs
+            .filter(job => job.submissionId && this.submissions.get(job.submissionId))
+            .forEach(job => {
+                const submission = this.submissions.get(job.submissionId);
+                const step = Object.keys(submission.steps).find(name => submission.steps[name].jobId === job.id);
+                if (step) {
+                    submission.steps[step] = {
+                        status: JOB_STEP_STATUS[job.status],
+                        timestamp: job.updatedAt,
+                        attempts: job.attempts,
+                        ...(job.lastError && { error: job.lastError }),
+                    };
+                }
+            });
+
+        let prunedSubmissions = 0;
+        this.submissions.values()
+            .filter(submission => submission.completedEventSent && submission.formData
+                && new Date(submission.createdAt).getTime() < cutoff)
+            .forEach(submission => {
+                delete submission.formData;
+                delete submission.results;
+                submission.formDataPrunedAt = new Date().toISOString();
+                prunedSubmissions++;
+            });
+
+        if (prunedJobs.length > 0 || prunedSubmissions > 0) {
+            this.submissions.save();
+            console.log(`🧹 Pruned ${prunedJobs.length} outbox jobs and the form data of ${prunedSubmissions} submissions`);
+        }
+        return { jobs: prunedJobs.length, submissions: prunedSubmissions };
+    }
 
-        // Admin endpoint for setting Notion token (optional)
-        this.app.get('/admin/set-notion-token', (req, res) => {
-            const { token } = req.query;
-            if (token && token.startsWith('ntn_')) {
-                process.env.NOTION_TOKEN = token;
-                this.initializeNotionClient();
-                res.json({ success: true, message: 'Notion token updated' });
-            } else {
-                res.status(400).json({ success: false, message: 'Invalid token format' });
+    findSubmission(idOrGutachtenNr) {
+        const byId = this.submissions.get(idOrGutachtenNr);
+        if (byId) {
+            return byId;
+        }
+
+        // Latest submission for a Gutachten-Nr.
+        const matches = this.submissions.values()
+            .filter(submission => submission.gutachten_nr === idOrGutachtenNr)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return matches[0] || null;
+    }
+
+    buildSubmissionStatus(submission) {
+        const steps = {};
+
+        Object.entries(submission.steps).forEach(([step, state]) => {
+            const job = state.jobId ? this.outbox.getJob(state.jobId) : null;
+            if (!job) {
+                steps[step] = state;
+                return;
             }
+
+            steps[step] = {
+                status: JOB_STEP_STATUS[job.status] === 'pending' && job.attempts > 0 ? 'retrying' : JOB_STEP_STATUS[job.status],
+                timestamp: job.updatedAt,
+                attempts: job.attempts,
+                ...(job.nextAttemptAt && job.status !== Outbox.JOB_STATUS.DONE && { nextAttemptAt: job.nextAttemptAt }),
+                ...(job.lastError && { error: job.lastError }),
+            };
         });
+
+        const statuses = Object.values(steps).map(step => step.status);
+        let status = 'completed';
+        if (statuses.some(stepStatus => stepStatus === 'failed')) {
+            status = 'failed';
+        } else if (statuses.some(stepStatus => ['pending', 'queued', 'running', 'retrying'].includes(stepStatus))) {
+            status = 'processing';
+        }
+
+        return {
+            id: submission.id,
+            gutachten_nr: submission.gutachten_nr,
+            createdAt: submission.createdAt,
+            status,
+            steps,
+        };
     }
 
-    async processGutachtenSubmission(formData) {
-        console.log('Processing gutachten submission...');
-        
-        // Normalize field names from frontend to backend format
-        formData = this.normalizeFormData(formData);
-        
-        // Validate required fields
-        this.validateFormData(formData);
+    // Form data stored with outbox jobs, without the (large) signature images
+    buildJobFormData(formData) {
+        const { signature, unterschrift, abtretung_signature, ...jobFormData } = formData;
+        return jobFormData;
+    }
 
-        const results = {
-            timestamp: new Date().toISOString(),
-            gutachten_nr: formData.gutachten_nr,
+    describeJob(job) {
+        if (job.status === Outbox.JOB_STATUS.DONE) {
+            return job.result;
+        }
+
+        return {
+            status: job.status,
+            jobId: job.id,
+            attempts: job.attempts,
+            nextAttemptAt: job.nextAttemptAt,
+            ...(job.lastError && { error: job.lastError }),
         };
+    }
 
-        // 1. Generate PDF file
-        let pdfFilePath;
-        try {
-            pdfFilePath = await this.generatePDFFile(formData);
-            results.pdf = { generated: true, filePath: pdfFilePath };
-            console.log('✅ PDF file generation completed');
-        } catch (error) {
-            console.error('❌ PDF generation failed:', error.message);
-            results.pdf = { error: error.message };
-            throw new Error('PDF-Generierung fehlgeschlagen');
+    normalizeFormData(data, { assignGutachtenNr = true } = {}) {
+        // Field names from index.html -> normalized keys, as listed in lib/form-schema.js
+        const { data: normalized, unknown } = formSchema.mapFields(data);
+        if (unknown.length > 0) {
+            console.warn(`⚠️  Ignoring unknown form fields: ${unknown.join(', ')}`);
         }
 
-        // 2. Upload to Google Drive (create folder with Kennzeichen)
-        let googleDriveFileLink = null;
-        if (this.drive && pdfFilePath) {
-            try {
-                const driveResult = await this.uploadToGoogleDrive(formData, pdfFilePath);
-                results.googleDrive = driveResult;
-                googleDriveFileLink = driveResult.fileLink;
-                console.log('✅ Google Drive upload completed');
-            } catch (error) {
-                console.error('❌ Google Drive upload failed:', error.message);
-                results.googleDrive = { error: error.message };
-            }
-        } else {
-            results.googleDrive = { skipped: 'Google Drive client not initialized or PDF failed' };
+        // One spelling per plate ("bi ab123" -> "BI-AB 123") for customer lookups and folder names.
+        // Invalid plates are left as they are and reported by validateFormData.
+        formSchema.allFields()
+            .filter(field => field.type === 'kennzeichen' && normalized[field.key])
+            .forEach(field => {
+                normalized[field.key] = kennzeichen.normalize(normalized[field.key]) || normalized[field.key];
+            });
+
+        // Old clients send email and phone combined in auftraggeber.kontakt
+        if (normalized.auftraggeber_kontakt !== undefined) {
+            const legacy = kontakt.parseLegacyKontakt(normalized.auftraggeber_kontakt);
+            normalized.auftraggeber_email = normalized.auftraggeber_email || legacy.email;
+            normalized.auftraggeber_telefon = normalized.auftraggeber_telefon || legacy.telefon;
+            delete normalized.auftraggeber_kontakt;
         }
 
-        // 3. Process Notion integration (with Google Drive link)
-        if (this.notion) {
-            try {
-                const notionResult = await this.processNotionIntegration(formData, googleDriveFileLink);
-                results.notion = notionResult;
-                console.log('✅ Notion integration completed');
-            } catch (error) {
-                console.error('❌ Notion integration failed:', error.message);
-                results.notion = { error: error.message };
-            }
-        } else {
-            results.notion = { skipped: 'Notion client not initialized' };
+        // Older clients used "unterschrift" for the signature
+        if (normalized.unterschrift !== undefined) {
+            normalized.signature = normalized.signature || normalized.unterschrift;
+            delete normalized.unterschrift;
         }
 
-        return results;
-    }
+        // Old clients send one-line addresses ("Mühlenstr. 49, 33609 Bielefeld")
+        ['auftraggeber', 'gegner'].forEach(prefix => {
+            const legacyKey = `${prefix}_adresse`;
+            if (normalized[legacyKey] === undefined) {
+                return;
+            }
+            if (normalized[legacyKey] && !normalized[`${prefix}_strasse`]) {
+                Object.entries(address.parseLegacyAddress(normalized[legacyKey])).forEach(([part, value]) => {
+                    normalized[`${prefix}_${part}`] = value;
+                });
+            }
+            delete normalized[legacyKey];
+        });
 
-    normalizeFormData(data) {
-        const normalized = {};
-        
-        // Process each field from the frontend data
-        Object.keys(data).forEach(key => {
-            const value = data[key];
-            
-            // Handle nested field names (e.g., "auftraggeber.name" -> "auftraggeber_name")
-            if (key.includes('.')) {
-                const parts = key.split('.');
-                if (parts.length === 2) {
-                    const [prefix, suffix] = parts;
-                    const normalizedKey = `${prefix}_${suffix}`;
-                    normalized[normalizedKey] = value;
-                } else {
-                    // For deeper nesting, just replace dots with underscores
-                    normalized[key.replace(/\./g, '_')] = value;
+        // Ort is filled in from the PLZ table when it was left empty
+        formSchema.allFields()
+            .filter(field => field.type === 'plz' && field.ortField)
+            .forEach(field => {
+                const plz = String(normalized[field.key] || '').trim();
+                const orte = address.lookupPlz(plz);
+                if (orte && orte.length === 1 && !normalized[field.ortField]) {
+                    normalized[field.ortField] = orte[0];
                 }
-            } else {
-                // Direct mapping for simple fields
-                const fieldMapping = {
-                    gutachtenNr: 'gutachten_nr'
-                };
-                
-                const mappedKey = fieldMapping[key] || key;
-                normalized[mappedKey] = value;
+            });
+
+        // Phone numbers in E.164 (+49 by default); unparseable values are reported by validateFormData
+        formSchema.allFields().forEach(field => {
+            const value = normalized[field.key];
+            if (field.type === 'email' && value) {
+                normalized[field.key] = kontakt.normalizeEmail(value);
+            } else if (field.type === 'phone' && value) {
+                normalized[field.key] = kontakt.normalizePhone(value) || value;
             }
         });
-        
-        // Auto-generate gutachten_nr if missing
-        if (!normalized.gutachten_nr) {
-            normalized.gutachten_nr = `DS-${new Date().getFullYear()}-${String(Date.now()).slice(-6)}`;
+
+        // VINs are stored without spaces and in upper case
+        formSchema.allFields()
+            .filter(field => field.type === 'vin' && normalized[field.key])
+            .forEach(field => {
+                normalized[field.key] = vin.normalize(normalized[field.key]);
+            });
+
+        return assignGutachtenNr ? this.assignGutachtenNr(normalized) : normalized;
+    }
+
+    // Auto-generate gutachten_nr if missing
+    assignGutachtenNr(formData) {
+        if (formData.gutachten_nr) {
+            return formData;
         }
-        
-        return normalized;
+        return { ...formData, gutachten_nr: `DS-${new Date().getFullYear()}-${String(Date.now()).slice(-6)}` };
     }
 
     validateFormData(data) {
-        const required = [
-            'gutachten_nr', 'auftraggeber_name', 'auftraggeber_adresse',
-            'auftraggeber_kontakt', 'auftraggeber_kennzeichen', 'unfall_tag', 'unfall_ort'
-        ];
-
-        for (const field of required) {
-            if (!data[field] || data[field].toString().trim() === '') {
-                throw new Error(`Erforderliches Feld fehlt: ${field}`);
+        // Required fields and formats come from lib/form-schema.js
+        const errors = formSchema.validate(data);
+
+        // The Auftrag is only valid with a real signature, not an empty canvas
+        const signed = signature.inspect(data.signature);
+        if (!signed.valid) {
+            errors.push({ field: 'signature', code: signed.code, message: signed.error });
+        }
+
+        // The Abtretungserklärung is signed separately
+        if (data.abtretung) {
+            const assigned = signature.inspect(data.abtretung_signature);
+            if (!assigned.valid) {
+                errors.push({ field: 'abtretung_signature', code: assigned.code, message: `Abtretungserklärung: ${assigned.error}` });
             }
         }
 
-        // Validate email format (extract from kontakt field)
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (data.auftraggeber_kontakt && !emailRegex.test(data.auftraggeber_kontakt.split('/')[0].trim())) {
-            // Skip email validation if contact doesn't contain email format
+        // Consent only counts for the current Datenschutzhinweis; an outdated form (or one without
+        // a version) has to show the new one first
+        const notice = datenschutz.current(this.privacyNotices);
+        if (data.datenschutz_version !== notice.version) {
+            errors.push({
+                field: 'datenschutz',
+                code: 'consent_outdated',
+                message: `Der Datenschutzhinweis wurde aktualisiert (${notice.version}), bitte lesen und erneut bestätigen`,
+            });
+        }
+
+        // Implausible values (lib/plausibility.js): errors block the submission, warnings are returned
+        const { errors: implausible, warnings } = plausibility.check(data, { severities: this.plausibilitySeverities });
+        errors.push(...implausible);
+
+        // 422 with every failing field, named as in index.html so the form can mark the inputs
+        if (errors.length > 0) {
+            const error = new Error(errors[0].message);
+            error.status = 422;
+            error.errors = errors.map(({ field, ...details }) => ({ field: formSchema.fieldName(field), ...details }));
+            throw error;
         }
 
-        // Note: Signature validation temporarily disabled for testing
+        return warnings;
     }
 
-    async processNotionIntegration(formData, googleDriveFileLink = null) {
+    async createNotionCustomer(formData, checkpoint = {}, saveCheckpoint = () => {}) {
         const kontakteId = process.env.KONTAKTE_DATABASE_ID;
-        const businessResourcesId = process.env.BUSINESS_RESOURCES_DATABASE_ID;
-        
-        try {
-            let customer = null;
-            let businessResource = null;
 
-            // 1. Create customer entry in KONTAKTE database
-            if (kontakteId) {
-                try {
-                    // Check if customer already exists by Kennzeichen
-                    const existingCustomer = await this.findCustomerByKennzeichen(kontakteId, formData.auftraggeber_kennzeichen);
-                    
-                    if (existingCustomer) {
-                        customer = {
-                            id: existingCustomer.id,
-                            action: 'found_existing',
-                        };
-                        console.log('✅ Customer already exists in KONTAKTE');
-                    } else {
-                        // Create new customer
-                        const customerResponse = await this.notion.pages.create({
-                            parent: { database_id: kontakteId },
-                            properties: this.buildKontakteProperties(formData),
-                        });
-                        customer = {
-                            id: customerResponse.id,
-                            action: 'created',
-                        };
-                        console.log('✅ Customer created in KONTAKTE database');
-                    }
-                } catch (error) {
-                    console.error('❌ KONTAKTE customer creation failed:', error);
-                    customer = { error: error.message };
-                }
-            }
+        if (checkpoint.customerId) {
+            return { id: checkpoint.customerId, action: 'created' };
+        }
 
-            // 2. Create Business Resource entry for Gutachten
-            if (businessResourcesId) {
-                try {
-                    const resourceResponse = await this.notion.pages.create({
-                        parent: { database_id: businessResourcesId },
-                        properties: this.buildGutachtenResourceProperties(formData, googleDriveFileLink, customer?.id),
-                    });
-                    businessResource = {
-                        id: resourceResponse.id,
-                        action: 'created',
-                    };
-                    console.log('✅ Gutachten Business Resource created');
-                } catch (error) {
-                    console.error('❌ Business Resource creation failed:', error);
-                    businessResource = { error: error.message };
-                }
-            }
+        // Check if customer already exists by Kennzeichen
+        const existingCustomer = await this.findCustomerByKennzeichen(kontakteId, formData.auftraggeber_kennzeichen);
 
-            return {
-                customer,
-                businessResource,
-            };
-        } catch (error) {
-            console.error('Notion API error:', error);
-            throw new Error(`Notion-Integration fehlgeschlagen: ${error.message}`);
+        if (existingCustomer) {
+            console.log('✅ Customer already exists in KONTAKTE');
+            return { id: existingCustomer.id, action: 'found_existing' };
         }
+
+        // Create new customer
+        const customerResponse = await this.notion.pages.create({
+            parent: { database_id: kontakteId },
+            properties: this.buildKontakteProperties(formData),
+        });
+        saveCheckpoint({ customerId: customerResponse.id });
+        console.log('✅ Customer created in KONTAKTE database');
+
+        return { id: customerResponse.id, action: 'created' };
     }
 
-    async findCustomerByKennzeichen(databaseId, kennzeichen) {
-        try {
+    async createNotionBusinessResource(formData, fileLinks, customerId, checkpoint = {}, saveCheckpoint = () => {}, warnings = []) {
+        const businessResourcesId = process.env.BUSINESS_RESOURCES_DATABASE_ID;
+
+        if (checkpoint.resourceId) {
+            return { id: checkpoint.resourceId, action: 'created' };
+        }
+
+        // A previous attempt may have created the page before failing
+        const existingResource = await this.findGutachtenResource(businessResourcesId, formData.gutachten_nr);
+        if (existingResource) {
+            console.log('✅ Gutachten Business Resource already exists');
+            return { id: existingResource.id, action: 'found_existing' };
+        }
+
+        const resourceResponse = await this.notion.pages.create({
+            parent: { database_id: businessResourcesId },
+            properties: this.buildGutachtenResourceProperties(formData, fileLinks.auftrag, customerId),
+            children: this.buildGutachtenResourceChildren(formData, fileLinks.abtretung, warnings),
+        });
+        saveCheckpoint({ resourceId: resourceResponse.id });
+        console.log('✅ Gutachten Business Resource created');
+
+        return { id: resourceResponse.id, action: 'created' };
+    }
+
+    // Lookup errors are thrown (not treated as "not found") so a retry never creates a duplicate
+    async findCustomerByKennzeichen(databaseId, value) {
+        const plate = kennzeichen.parse(value);
+        const matches = page => {
+            const stored = ((page.properties.Kennzeichen || {}).rich_text || []).map(part => part.plain_text).join('');
+            return stored === value || (plate.valid && kennzeichen.normalize(stored) === plate.canonical);
+        };
+
+        // New entries are stored in canonical form, so an exact match usually settles it
+        const exact = await this.notion.databases.query({
+            database_id: databaseId,
+            filter: {
+                property: 'Kennzeichen',
+                rich_text: { equals: plate.valid ? plate.canonical : value },
+            },
+            page_size: 1,
+        });
+        if (exact.results.length > 0 || !plate.valid) {
+            return exact.results[0] || null;
+        }
+
+        // Older entries may use any spelling of the plate: all pages with the same digits,
+        // compared in canonical form, page by page
+        let cursor;
+        do {
             const response = await this.notion.databases.query({
                 database_id: databaseId,
                 filter: {
                     property: 'Kennzeichen',
-                    rich_text: {
-                        equals: kennzeichen,
-                    },
+                    rich_text: { contains: plate.digits },
                 },
+                page_size: 100,
+                ...(cursor && { start_cursor: cursor }),
             });
-            
-            return response.results.length > 0 ? response.results[0] : null;
-        } catch (error) {
-            console.error('Error searching for customer:', error);
-            return null;
-        }
+
+            const customer = response.results.find(matches);
+            if (customer) {
+                return customer;
+            }
+            cursor = response.has_more ? response.next_cursor : null;
+        } while (cursor);
+
+        return null;
     }
 
-    buildKontakteProperties(formData) {
-        // Extract email and phone from the combined field
-        const kontaktParts = formData.auftraggeber_kontakt ? formData.auftraggeber_kontakt.split('/') : ['', ''];
-        const email = kontaktParts[0] ? kontaktParts[0].trim() : '';
-        const phone = kontaktParts[1] ? kontaktParts[1].trim() : '';
+    async findGutachtenResource(databaseId, gutachtenNr) {
+        const response = await this.notion.databases.query({
+            database_id: databaseId,
+            filter: {
+                property: 'Name',
+                title: {
+                    contains: `(${gutachtenNr})`,
+                },
+            },
+        });
+
+        return response.results.length > 0 ? response.results[0] : null;
+    }
 
+    buildKontakteProperties(formData) {
         return {
-            'Name': {
-                title: [
-                    {
-                        text: {
-                            content: formData.auftraggeber_name || '',
-                        },
-                    },
-                ],
-            },
-            'Kennzeichen': {
-                rich_text: [
-                    {
-                        text: {
-                            content: formData.auftraggeber_kennzeichen || '',
-                        },
-                    },
-                ],
-            },
-            'Email': {
-                email: email,
-            },
-            'Phone': {
-                phone_number: phone || null,
-            },
+            // Name, Kennzeichen, Email and Phone, mapped in lib/form-schema.js
+            ...formSchema.notionProperties('kontakte', formData),
             'Address': {
                 rich_text: [
                     {
                         text: {
-                            content: formData.auftraggeber_adresse || '',
+                            content: address.formatLine(address.fromFormData(formData, 'auftraggeber')),
                         },
                     },
                 ],
@@ -487,6 +1620,52 @@ class DSGutachtenServer {
         return properties;
     }
 
+    // Page content of the Gutachten resource (the database has no columns for these details);
+    // warnings are the plausibility warnings stored with the submission
+    buildGutachtenResourceChildren(formData, abtretungFileLink = null, warnings = []) {
+        const lines = [];
+
+        const decoded = vin.decode(formData.sonstiges_fahrzeugstellnummer);
+        if (decoded.valid) {
+            lines.push([{ type: 'text', text: { content: `Fahrzeug (laut FIN ${decoded.vin}): ${vin.describe(decoded)}` } }]);
+        }
+
+        // Link to the signed Abtretungserklärung next to the Auftrag
+        if (formData.abtretung) {
+            lines.push(abtretungFileLink
+                ? [{ type: 'text', text: { content: 'Abtretungserklärung', link: { url: abtretungFileLink } } }]
+                : [{ type: 'text', text: { content: 'Abtretungserklärung unterschrieben (Datei nicht abgelegt)' } }]);
+        }
+
+        const blocks = lines.map(richText => ({
+            object: 'block',
+            type: 'paragraph',
+            paragraph: {
+                rich_text: richText,
+            },
+        }));
+
+        // Plausibility warnings the customer submitted anyway, for staff to check
+        if (warnings && warnings.length > 0) {
+            blocks.push({
+                object: 'block',
+                type: 'heading_3',
+                heading_3: {
+                    rich_text: [{ type: 'text', text: { content: '⚠️ Plausibilitätshinweise' } }],
+                },
+            });
+            warnings.forEach(warning => blocks.push({
+                object: 'block',
+                type: 'bulleted_list_item',
+                bulleted_list_item: {
+                    rich_text: [{ type: 'text', text: { content: warning.message } }],
+                },
+            }));
+        }
+
+        return blocks;
+    }
+
     buildBusinessResourceProperties(formData, customerId, googleDriveFileLink) {
         return {
             'Name': {
@@ -538,18 +1717,27 @@ class DSGutachtenServer {
     }
 
     async generatePDFFile(formData) {
+        // Layout of the paper form, see lib/auftrag-pdf.js
+        const fileName = `Gutachten_${PdfLifecycle.sanitizeFileName(formData.gutachten_nr)}_${Date.now()}.pdf`;
+        return this.writePDFFile(fileName, doc => auftragPdf.render(doc, formData));
+    }
+
+    async generateAbtretungPDFFile(formData) {
+        const fileName = `Abtretung_${PdfLifecycle.sanitizeFileName(formData.gutachten_nr)}_${Date.now()}.pdf`;
+        return this.writePDFFile(fileName, doc => auftragPdf.renderAbtretung(doc, formData, this.abtretungTemplate));
+    }
+
+    // Renders into temp/ and resolves with the file path once the file is written
+    async writePDFFile(fileName, render) {
         return new Promise((resolve, reject) => {
             // Create temp directory if it doesn't exist
-            const tempDir = path.join(__dirname, 'temp');
-            if (!fs.existsSync(tempDir)) {
-                fs.mkdirSync(tempDir, { recursive: true });
+            if (!fs.existsSync(this.tempDir)) {
+                fs.mkdirSync(this.tempDir, { recursive: true });
             }
             
-            // Create unique filename
-            const fileName = `Gutachten_${formData.gutachten_nr}_${Date.now()}.pdf`;
-            const filePath = path.join(tempDir, fileName);
+            const filePath = path.join(this.tempDir, fileName);
             
-            const doc = new PDFDocument({ margin: 50 });
+            const doc = new PDFDocument(auftragPdf.DOCUMENT_OPTIONS);
             const stream = fs.createWriteStream(filePath);
             
             doc.pipe(stream);
@@ -561,135 +1749,7 @@ class DSGutachtenServer {
             stream.on('error', reject);
 
             try {
-                // Header
-                doc.fontSize(20)
-                   .font('Helvetica-Bold')
-                   .text('DS SACHVERSTÄNDIGENBÜRO', 50, 50);
-                
-                doc.fontSize(12)
-                   .font('Helvetica')
-                   .text('Mühlenstr. 49 - 33609 Bielefeld', 50, 80)
-                   .text('Tel.: 0151-11738834', 50, 95)
-                   .text('E-Mail: info@unfallschaden-bielefeld.de', 50, 110);
-
-                // Title
-                doc.fontSize(16)
-                   .font('Helvetica-Bold')
-                   .text('Auftrag zur Gutachtenerstellung', 50, 150);
-
-                let yPos = 190;
-
-                // Gutachten Info
-                doc.fontSize(12).font('Helvetica-Bold');
-                doc.text('Gutachten Nr.:', 50, yPos);
-                doc.font('Helvetica').text(formData.gutachten_nr, 150, yPos);
-                yPos += 20;
-
-                if (formData.abtretung) {
-                    doc.text('✓ Abtretung', 50, yPos);
-                    yPos += 20;
-                }
-
-                yPos += 10;
-
-                // Auftraggeber
-                doc.fontSize(14).font('Helvetica-Bold');
-                doc.text('Auftraggeber (Geschädigter)', 50, yPos);
-                yPos += 25;
-
-                doc.fontSize(12).font('Helvetica');
-                doc.text(`Name: ${formData.auftraggeber_name}`, 50, yPos);
-                yPos += 15;
-                doc.text(`Adresse: ${formData.auftraggeber_adresse || ''}`, 50, yPos);
-                yPos += 15;
-                
-                // Parse contact field (email / phone)
-                const kontakt = formData.auftraggeber_kontakt || '';
-                const kontaktParts = kontakt.split('/').map(p => p.trim());
-                const email = kontaktParts[0] || '';
-                const phone = kontaktParts[1] || '';
-                
-                doc.text(`E-Mail: ${email}`, 50, yPos);
-                yPos += 15;
-                doc.text(`Telefon: ${phone}`, 50, yPos);
-                yPos += 15;
-                doc.text(`Kennzeichen: ${formData.auftraggeber_kennzeichen}`, 50, yPos);
-                yPos += 25;
-
-                // Vehicle Info
-                if (formData.kilometerstand || formData.reifen || formData.fahrzeugstellnummer) {
-                    doc.fontSize(14).font('Helvetica-Bold');
-                    doc.text('Fahrzeugdaten', 50, yPos);
-                    yPos += 20;
-
-                    doc.fontSize(12).font('Helvetica');
-                    if (formData.kilometerstand) {
-                        doc.text(`Kilometerstand: ${formData.kilometerstand}`, 50, yPos);
-                        yPos += 15;
-                    }
-                    if (formData.reifen) {
-                        doc.text(`Reifen/Profiltiefe: ${formData.reifen}`, 50, yPos);
-                        yPos += 15;
-                    }
-                    if (formData.fahrzeugstellnummer) {
-                        doc.text(`Fahrzeugstellnummer: ${formData.fahrzeugstellnummer}`, 50, yPos);
-                        yPos += 15;
-                    }
-                    yPos += 10;
-                }
-
-                // Accident Info
-                doc.fontSize(14).font('Helvetica-Bold');
-                doc.text('Unfalldaten', 50, yPos);
-                yPos += 20;
-
-                doc.fontSize(12).font('Helvetica');
-                doc.text(`Unfalltag: ${formData.unfall_tag}`, 50, yPos);
-                yPos += 15;
-                if (formData.uhrzeit) {
-                    doc.text(`Uhrzeit: ${formData.uhrzeit}`, 50, yPos);
-                    yPos += 15;
-                }
-                doc.text(`Unfallort: ${formData.unfall_ort}`, 50, yPos);
-                yPos += 15;
-
-                if (formData.schadenbeschreibung) {
-                    doc.text('Schadenbeschreibung:', 50, yPos);
-                    yPos += 15;
-                    const description = doc.heightOfString(formData.schadenbeschreibung, { width: 500 });
-                    doc.text(formData.schadenbeschreibung, 50, yPos, { width: 500 });
-                    yPos += description + 15;
-                }
-
-                // Check if we need a new page
-                if (yPos > 700) {
-                    doc.addPage();
-                    yPos = 50;
-                }
-
-                // Signature
-                yPos += 20;
-                doc.fontSize(12).font('Helvetica-Bold');
-                doc.text('Ort/Datum und Unterschrift:', 50, yPos);
-                yPos += 20;
-
-                if (formData.ort) {
-                    doc.font('Helvetica').text(`${formData.ort}, ${new Date().toLocaleDateString('de-DE')}`, 50, yPos);
-                } else {
-                    doc.font('Helvetica').text(new Date().toLocaleDateString('de-DE'), 50, yPos);
-                }
-
-                // Add signature if provided
-                if (formData.unterschrift && formData.unterschrift !== 'data:,') {
-                    try {
-                        const signatureData = formData.unterschrift.replace(/^data:image\/png;base64,/, '');
-                        const signatureBuffer = Buffer.from(signatureData, 'base64');
-                        doc.image(signatureBuffer, 300, yPos - 10, { width: 200, height: 60 });
-                    } catch (error) {
-                        console.error('Error adding signature to PDF:', error);
-                    }
-                }
-
+                render(doc);
                 doc.end();
 
             } catch (error) {
@@ -698,9 +1758,34 @@ class DSGutachtenServer {
         });
     }
 
-    async uploadToGoogleDrive(formData, pdfFilePath) {
-        const folderName = formData.auftraggeber_kennzeichen || formData.kennzeichen;
-        const fileName = `Gutachten_${formData.gutachten_nr}.pdf`;
+    // Archive copy and fingerprint of a generated PDF
+    storePDFFile(filePath, formData) {
+        let archivePath = null;
+        try {
+            archivePath = this.pdfLifecycle.archive(filePath, formData.gutachten_nr);
+        } catch (error) {
+            console.error('❌ PDF archiving failed:', error.message);
+        }
+
+        // Fingerprint of the signed document for the audit log
+        const sha256 = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+        return { filePath, archivePath, sha256 };
+    }
+
+    // Customer folder and file names of the Auftrag (and Abtretungserklärung) in Google Drive
+    buildDriveLocation(formData) {
+        return {
+            // Canonical Kennzeichen (see normalizeFormData), so every spelling ends up in the same folder
+            folderName: formData.auftraggeber_kennzeichen || formData.kennzeichen,
+            fileName: `Gutachten_${formData.gutachten_nr}.pdf`,
+            ...(formData.abtretung && { abtretungFileName: `Abtretung_${formData.gutachten_nr}.pdf` }),
+        };
+    }
+
+    // sources: { auftrag, abtretung } file paths, see resolvePdfSources
+    async uploadToGoogleDrive(formData, sources, checkpoint = {}, saveCheckpoint = () => {}) {
+        const { folderName, fileName, abtretungFileName } = this.buildDriveLocation(formData);
 
         try {
             // Use the root folder from environment variables - this is a shared drive folder
@@ -729,8 +1814,10 @@ class DSGutachtenServer {
                 ...(isSharedDrive && { corpora: 'drive', driveId: rootFolderInfo.data.driveId }),
             });
 
-            let customerFolderId;
-            if (existingFolders.data.files.length > 0) {
+            let customerFolderId = checkpoint.folderId;
+            if (customerFolderId) {
+                console.log(`📁 Resuming upload into folder: ${folderName}`);
+            } else if (existingFolders.data.files.length > 0) {
                 customerFolderId = existingFolders.data.files[0].id;
                 console.log(`📁 Using existing folder: ${folderName}`);
             } else {
@@ -746,47 +1833,146 @@ class DSGutachtenServer {
                 customerFolderId = customerFolder.data.id;
                 console.log(`📁 Created new folder: ${folderName}`);
             }
+            saveCheckpoint({ folderId: customerFolderId });
+
+            const { fileId, fileLink } = await this.uploadDriveFile(
+                customerFolderId, fileName, sources.auftrag, checkpoint.fileId, id => saveCheckpoint({ fileId: id }),
+            );
+
+            const result = {
+                fileId,
+                fileName: fileName,
+                folderName: folderName,
+                folderId: customerFolderId,
+                fileLink: fileLink,
+            };
+
+            if (sources.abtretung) {
+                result.abtretung = {
+                    ...await this.uploadDriveFile(
+                        customerFolderId, abtretungFileName, sources.abtretung, checkpoint.abtretungFileId, id => saveCheckpoint({ abtretungFileId: id }),
+                    ),
+                    fileName: abtretungFileName,
+                };
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error('Google Drive upload error:', error);
+            throw new Error(`Google Drive Upload fehlgeschlagen: ${error.message}`);
+        }
+    }
+
+    // Uploads one PDF into the customer folder, reusing a file a previous attempt already uploaded
+    async uploadDriveFile(folderId, fileName, filePath, knownFileId, saveFileId) {
+        let fileId = knownFileId;
+        if (!fileId) {
+            const existingFiles = await this.drive.files.list({
+                q: `name='${fileName}' and '${folderId}' in parents and trashed=false`,
+                fields: 'files(id, name)',
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+            });
+            fileId = existingFiles.data.files.length > 0 ? existingFiles.data.files[0].id : null;
+        }
 
+        if (!fileId) {
             // Upload PDF to the folder (whether in shared drive or regular drive)
             const fileResponse = await this.drive.files.create({
                 requestBody: {
                     name: fileName,
-                    parents: [customerFolderId],
+                    parents: [folderId],
                     mimeType: 'application/pdf',
                 },
                 media: {
                     mimeType: 'application/pdf',
-                    body: fs.createReadStream(pdfFilePath),
+                    body: fs.createReadStream(filePath),
                 },
                 supportsAllDrives: true,
             });
+            fileId = fileResponse.data.id;
+        }
+        saveFileId(fileId);
+
+        // Make the file shareable with a link
+        await this.drive.permissions.create({
+            fileId,
+            requestBody: {
+                role: 'reader',
+                type: 'anyone',
+            },
+            supportsAllDrives: true,
+        });
 
-            // Make the file shareable with a link
-            await this.drive.permissions.create({
-                fileId: fileResponse.data.id,
-                requestBody: {
-                    role: 'reader',
-                    type: 'anyone',
-                },
-                supportsAllDrives: true,
-            });
+        const fileLink = `https://drive.google.com/file/d/${fileId}/view`;
+
+        console.log(`✅ PDF uploaded to Google Drive: ${fileLink}`);
+
+        return { fileId, fileLink };
+    }
+
+    publicUrl(pathname) {
+        const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${this.port}`).replace(/\/$/, '');
+        return `${baseUrl}${pathname}`;
+    }
 
-            const fileLink = `https://drive.google.com/file/d/${fileResponse.data.id}/view`;
+    // Same layout as Google Drive: one folder per Kennzeichen
+    saveToLocalFiles(formData, sources) {
+        const folderName = PdfLifecycle.sanitizeFileName(formData.auftraggeber_kennzeichen || formData.kennzeichen);
+        const folderPath = path.join(this.localFilesDir, folderName);
 
-            console.log(`✅ PDF uploaded to Google Drive: ${fileLink}`);
+        fs.mkdirSync(folderPath, { recursive: true });
 
+        const store = (fileName, filePath) => {
+            fs.copyFileSync(filePath, path.join(folderPath, fileName));
+            console.log(`✅ PDF stored locally: ${folderName}/${fileName}`);
             return {
-                fileId: fileResponse.data.id,
-                fileName: fileName,
-                folderName: folderName,
-                folderId: customerFolderId,
-                fileLink: fileLink,
+                fileId: `${folderName}/${fileName}`,
+                fileName,
+                fileLink: this.publicUrl(`/files/${encodeURIComponent(folderName)}/${encodeURIComponent(fileName)}`),
             };
+        };
 
-        } catch (error) {
-            console.error('Google Drive upload error:', error);
-            throw new Error(`Google Drive Upload fehlgeschlagen: ${error.message}`);
+        const gutachtenNr = PdfLifecycle.sanitizeFileName(formData.gutachten_nr);
+        const result = { ...store(`Gutachten_${gutachtenNr}.pdf`, sources.auftrag), folderName };
+        if (sources.abtretung) {
+            result.abtretung = store(`Abtretung_${gutachtenNr}.pdf`, sources.abtretung);
+        }
+
+        return result;
+    }
+
+    // Bearer token or HTTP Basic auth (any user name, ADMIN_TOKEN as password)
+    requireAdmin(req, res, next) {
+        const adminToken = process.env.ADMIN_TOKEN;
+        if (!adminToken) {
+            return res.status(503).json({
+                success: false,
+                message: 'ADMIN_TOKEN ist nicht konfiguriert',
+            });
+        }
+
+        const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+        let token = null;
+        if (scheme === 'Bearer') {
+            token = credentials;
+        } else if (scheme === 'Basic' && credentials) {
+            const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+            token = decoded.slice(decoded.indexOf(':') + 1);
         }
+
+        const expected = Buffer.from(adminToken);
+        const given = Buffer.from(token || '');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            res.set('WWW-Authenticate', 'Basic realm="DS Gutachten"');
+            return res.status(401).json({
+                success: false,
+                message: 'Nicht autorisiert',
+            });
+        }
+
+        next();
     }
 
     setupErrorHandling() {
@@ -801,6 +1987,20 @@ class DSGutachtenServer {
         // Global error handler
         this.app.use((error, req, res, next) => {
             console.error('Global error handler:', error);
+
+            // Oversized or broken request bodies are rejected by the body parser
+            if (error.type === 'entity.too.large') {
+                return res.status(413).json({
+                    success: false,
+                    message: 'Die Anfrage ist zu groß (max. 2 MB)',
+                });
+            }
+            if (error.type === 'entity.parse.failed') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Die Anfrage enthält ungültiges JSON',
+                });
+            }
             
             res.status(error.status || 500).json({
                 success: false,
@@ -813,6 +2013,12 @@ class DSGutachtenServer {
     }
 
     start() {
+        this.outbox.start();
+        this.pdfLifecycle.start();
+
+        this.pruneRecords();
+        setInterval(() => this.pruneRecords(), 6 * 60 * 60 * 1000).unref();
+
         this.app.listen(this.port, () => {
             console.log(`🚀 DS Gutachten Server läuft auf Port ${this.port}`);
             console.log(`📍 URL: http://localhost:${this.port}`);
@@ -825,9 +2031,13 @@ class DSGutachtenServer {
     }
 }
 
-// Create and start server
-const server = new DSGutachtenServer();
-server.start();
+// Create and start server (scripts/check-field-mapping.js only loads the class)
+if (require.main === module) {
+    const server = new DSGutachtenServer();
+    server.start();
+}
+
+module.exports = DSGutachtenServer;
 
 // Graceful shutdown
 process.on('SIGTERM', () => {